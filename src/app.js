@@ -2,10 +2,16 @@ require('dotenv').config();
 
 const express = require('express');
 const bodyParser = require('body-parser');
+const ConfigValidator = require('./config/ConfigValidator');
 const DatabaseConnection = require('./config/DatabaseConnection');
 const AccountRoutes = require('./routes/AccountRoutes');
+const DevRoutes = require('./routes/DevRoutes');
+const WebhookRoutes = require('./routes/WebhookRoutes');
+const AdminRoutes = require('./routes/AdminRoutes');
+const SecurityRoutes = require('./routes/SecurityRoutes');
 const ErrorMiddleware = require('./middleware/ErrorMiddleware');
 const logger = require('./utils/Logger');
+const SensitiveData = require('./utils/SensitiveData');
 
 class App {
     constructor() {
@@ -13,11 +19,17 @@ class App {
         this.port = process.env.PORT || 3000;
         this.databaseConnection = new DatabaseConnection();
         this.cleanupInterval = null;
+        this.balanceMonitorInterval = null;
+        this.emailOutboxInterval = null;
         this.isInitialized = false;
         this._setupMiddleware();
     }
 
     _setupMiddleware() {
+        if (process.env.TRUST_PROXY) {
+            this.app.set('trust proxy', this._parseTrustProxy(process.env.TRUST_PROXY));
+        }
+
         this.app.use(bodyParser.json({ limit: '10mb' }));
         this.app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -25,7 +37,7 @@ class App {
             const startTime = Date.now();
 
             logger.info(`${req.method} ${req.url}`, {
-                body: this._sanitizeRequestBody(req.body),
+                body: SensitiveData.redactFields(req.body),
                 params: req.params,
                 query: req.query,
                 ip: req.ip,
@@ -53,20 +65,43 @@ class App {
 
     _setupCleanupInterval() {
         try {
-            const SemaphoreService = require('./utils/SemaphoreService');
+            const SmsService = require('./utils/SmsService');
             const BrevoService = require('./utils/BrevoService');
-
-            const smsService = new SemaphoreService();
+            const OtpQuotaService = require('./utils/OtpQuotaService');
+            const MessageTrackingService = require('./utils/MessageTrackingService');
+            const SmsBalanceMonitor = require('./utils/SmsBalanceMonitor');
+            const SecurityNotificationService = require('./utils/SecurityNotificationService');
+            const RefreshToken = require('./models/RefreshToken');
+            const RevokedToken = require('./models/RevokedToken');
+            const Session = require('./models/Session');
+
+            const smsService = new SmsService();
             const emailService = new BrevoService();
+            const otpQuotaService = new OtpQuotaService();
+            const messageTracker = new MessageTrackingService();
+            const balanceMonitor = new SmsBalanceMonitor({ smsService, emailService });
+            const securityNotifications = new SecurityNotificationService({ smsService, emailService });
 
-            this.cleanupInterval = setInterval(() => {
+            this.cleanupInterval = setInterval(async () => {
                 try {
-                    const smsCleanedCount = smsService.cleanupExpiredCodes();
-                    const emailCleanedCount = emailService.cleanupExpiredCodes();
+                    const smsCleanedCount = await smsService.cleanupExpiredCodes();
+                    const emailCleanedCount = await emailService.cleanupExpiredCodes();
+                    const refreshTokenCleanedCount = await RefreshToken.cleanupExpired();
+                    const revokedTokenCleanedCount = await RevokedToken.cleanupExpired();
+                    const sessionCleanedCount = await Session.cleanupExpired();
+                    await otpQuotaService.cleanupOldLogs();
+                    await messageTracker.cleanupOldMessages();
+                    await balanceMonitor.cleanupOldSnapshots();
+                    await emailService.outbox.cleanupSent();
+                    await securityNotifications.cleanupOldEvents();
 
                     if (smsCleanedCount > 0 || emailCleanedCount > 0) {
                         logger.info(`Cleanup completed - SMS: ${smsCleanedCount}, Email: ${emailCleanedCount} expired codes removed`);
                     }
+
+                    if (refreshTokenCleanedCount > 0 || revokedTokenCleanedCount > 0 || sessionCleanedCount > 0) {
+                        logger.info(`Cleanup completed - ${refreshTokenCleanedCount} expired refresh tokens, ${revokedTokenCleanedCount} expired revocations, ${sessionCleanedCount} expired sessions removed`);
+                    }
                 } catch (error) {
                     logger.error('Error during cleanup process:', error);
                 }
@@ -78,6 +113,56 @@ class App {
         }
     }
 
+    _setupBalanceMonitor() {
+        try {
+            const SmsBalanceMonitor = require('./utils/SmsBalanceMonitor');
+            const balanceMonitor = new SmsBalanceMonitor();
+
+            if (!balanceMonitor.isEnabled()) {
+                logger.info('SMS balance monitor disabled');
+                return;
+            }
+
+            const runCheck = async () => {
+                try {
+                    await balanceMonitor.checkBalances();
+                } catch (error) {
+                    logger.error('Error during SMS balance check:', error);
+                }
+            };
+
+            runCheck();
+            this.balanceMonitorInterval = setInterval(runCheck, balanceMonitor.checkIntervalMinutes * 60 * 1000);
+            logger.info(`SMS balance monitor setup successfully - runs every ${balanceMonitor.checkIntervalMinutes} minutes`);
+        } catch (error) {
+            logger.error('Failed to setup SMS balance monitor:', error);
+            throw error;
+        }
+    }
+
+    _setupEmailOutboxWorker() {
+        try {
+            const BrevoService = require('./utils/BrevoService');
+            const emailOutbox = new BrevoService().outbox;
+
+            this.emailOutboxInterval = setInterval(async () => {
+                try {
+                    const summary = await emailOutbox.processDue();
+
+                    if (summary.sent > 0 || summary.retrying > 0 || summary.dead > 0 || summary.suppressed > 0) {
+                        logger.info(`Email outbox processed - ${summary.sent} sent, ${summary.retrying} retrying, ${summary.dead} dead-lettered, ${summary.suppressed} suppressed`);
+                    }
+                } catch (error) {
+                    logger.error('Error during email outbox processing:', error);
+                }
+            }, emailOutbox.pollSeconds * 1000);
+            logger.info(`Email outbox worker setup successfully - polls every ${emailOutbox.pollSeconds} seconds`);
+        } catch (error) {
+            logger.error('Failed to setup email outbox worker:', error);
+            throw error;
+        }
+    }
+
     async initialize() {
         if (this.isInitialized) {
             logger.warn('Application already initialized');
@@ -87,15 +172,20 @@ class App {
         try {
             logger.info('Initializing application...');
 
+            ConfigValidator.assertValid();
+
             await this._initializeDatabase();
 
             await this._initializeServices();
 
             this._setupRoutes();
             this._setupBaseRoute();
+            this._setupWellKnownRoutes();
             this._setupHealthCheck();
             this._setupErrorHandling();
             this._setupCleanupInterval();
+            this._setupBalanceMonitor();
+            this._setupEmailOutboxWorker();
 
             this.isInitialized = true;
             logger.info('Application initialized successfully');
@@ -122,11 +212,11 @@ class App {
         try {
             logger.info('Initializing services...');
 
-            const SemaphoreService = require('./utils/SemaphoreService');
+            const SmsService = require('./utils/SmsService');
             const BrevoService = require('./utils/BrevoService');
             const JwtService = require('./utils/JwtService');
 
-            const smsService = new SemaphoreService();
+            const smsService = new SmsService();
             const emailService = new BrevoService();
             const jwtService = new JwtService();
 
@@ -165,6 +255,21 @@ class App {
             const accountRoutes = new AccountRoutes();
             this.app.use('/api/accounts', accountRoutes.getRouter());
 
+            const webhookRoutes = new WebhookRoutes();
+            this.app.use('/api/webhooks', webhookRoutes.getRouter());
+
+            const adminRoutes = new AdminRoutes();
+            this.app.use('/api/admin', adminRoutes.getRouter());
+
+            const securityRoutes = new SecurityRoutes();
+            this.app.use('/api/security', securityRoutes.getRouter());
+
+            if (this._shouldMountDevRoutes()) {
+                const devRoutes = new DevRoutes();
+                this.app.use('/dev', devRoutes.getRouter());
+                logger.info('Development routes mounted at /dev');
+            }
+
             logger.info('Routes setup successfully');
         } catch (error) {
             logger.error('Failed to setup routes:', error);
@@ -184,6 +289,21 @@ class App {
         });
     }
 
+    _setupWellKnownRoutes() {
+        const JwtService = require('./utils/JwtService');
+        const jwtService = new JwtService();
+
+        this.app.get('/.well-known/jwks.json', (req, res) => {
+            try {
+                res.set('Cache-Control', 'public, max-age=300');
+                res.json(jwtService.getJwks());
+            } catch (error) {
+                logger.error('Failed to serve JWKS:', error);
+                res.status(500).json({ success: false, message: 'Unable to load signing keys' });
+            }
+        });
+    }
+
     _setupHealthCheck() {
         this.app.get('/health', async (req, res) => {
             try {
@@ -206,11 +326,11 @@ class App {
         try {
             await this.databaseConnection.authenticate();
 
-            const SemaphoreService = require('./utils/SemaphoreService');
+            const SmsService = require('./utils/SmsService');
             const BrevoService = require('./utils/BrevoService');
             const JwtService = require('./utils/JwtService');
 
-            const smsService = new SemaphoreService();
+            const smsService = new SmsService();
             const emailService = new BrevoService();
             const jwtService = new JwtService();
 
@@ -287,6 +407,16 @@ class App {
                 logger.info('Cleanup interval cleared');
             }
 
+            if (this.balanceMonitorInterval) {
+                clearInterval(this.balanceMonitorInterval);
+                logger.info('SMS balance monitor interval cleared');
+            }
+
+            if (this.emailOutboxInterval) {
+                clearInterval(this.emailOutboxInterval);
+                logger.info('Email outbox worker interval cleared');
+            }
+
             if (this.databaseConnection) {
                 await this.databaseConnection.close();
                 logger.info('Database connection closed');
@@ -306,21 +436,31 @@ class App {
         }
     }
 
-    _sanitizeRequestBody(body) {
-        if (!body || typeof body !== 'object') {
-            return body;
+    _shouldMountDevRoutes() {
+        if (process.env.NODE_ENV === 'production') {
+            return false;
         }
 
-        const sensitiveFields = ['pin', 'password', 'token', 'secret'];
-        const sanitized = { ...body };
+        if (process.env.DEV_ROUTES === 'true') {
+            return true;
+        }
 
-        Object.keys(sanitized).forEach(key => {
-            if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
-                sanitized[key] = '[REDACTED]';
-            }
-        });
+        const providers = [
+            process.env.SMS_PROVIDER,
+            process.env.SMS_FALLBACK_PROVIDER,
+            process.env.EMAIL_PROVIDER,
+            process.env.VOICE_PROVIDER
+        ];
+
+        return process.env.NODE_ENV === 'development' && providers.some(provider => ['console', 'file'].includes(provider));
+    }
+
+    _parseTrustProxy(value) {
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
 
-        return sanitized;
+        return /^\d+$/.test(value) ? parseInt(value) : value;
     }
 
     start() {
@@ -0,0 +1,280 @@
+const logger = require('../utils/Logger');
+
+class ConfigValidator {
+    static FALLBACK_JWT_SECRET = 'fallback_secret_key_change_in_production';
+
+    static SCHEMA = {
+        NODE_ENV: { type: 'enum', values: ['development', 'production', 'test'] },
+        PORT: { type: 'integer', min: 1, max: 65535 },
+        ALLOWED_ORIGINS: { type: 'string' },
+        TRUST_PROXY: { type: 'string', required: 'production', minLength: 1 },
+
+        DATABASE_PATH: { type: 'string', minLength: 1 },
+
+        SMS_PROVIDER: { type: 'enum', values: ['semaphore', 'twilio', 'console', 'file'], devOnlyValues: ['console', 'file'] },
+        SMS_FALLBACK_PROVIDER: { type: 'enum', values: ['semaphore', 'twilio', 'console', 'file'], devOnlyValues: ['console', 'file'] },
+        EMAIL_PROVIDER: { type: 'enum', values: ['smtp', 'console', 'file'], devOnlyValues: ['console', 'file'] },
+        VOICE_PROVIDER: { type: 'enum', values: ['console', 'file'], devOnlyValues: ['console', 'file'] },
+        DEV_OUTBOX_DIR: { type: 'string', minLength: 1 },
+        DEV_ROUTES: { type: 'boolean' },
+        DELIVERY_WEBHOOK_SECRET: { type: 'string', minLength: 32, credential: true },
+        OUTBOUND_MESSAGE_RETENTION_DAYS: { type: 'integer', min: 1 },
+
+        SEMAPHORE_API_KEY: {
+            type: 'string',
+            required: env => ConfigValidator._usesSmsProvider(env, 'semaphore'),
+            minLength: 16,
+            credential: true
+        },
+        SEMAPHORE_SENDER_NAME: {
+            type: 'string',
+            required: env => ConfigValidator._usesSmsProvider(env, 'semaphore'),
+            minLength: 1,
+            maxLength: 11
+        },
+
+        TWILIO_ACCOUNT_SID: {
+            type: 'string',
+            required: env => ConfigValidator._usesSmsProvider(env, 'twilio'),
+            minLength: 1
+        },
+        TWILIO_AUTH_TOKEN: {
+            type: 'string',
+            required: env => ConfigValidator._usesSmsProvider(env, 'twilio'),
+            minLength: 32,
+            credential: true
+        },
+        TWILIO_FROM_NUMBER: {
+            type: 'string',
+            required: env => ConfigValidator._usesSmsProvider(env, 'twilio'),
+            minLength: 3
+        },
+        TWILIO_STATUS_CALLBACK_URL: { type: 'string', minLength: 1 },
+
+        SMS_BALANCE_CHECK_INTERVAL_MINUTES: { type: 'integer', min: 0 },
+        SMS_BALANCE_ALERT_THRESHOLD: { type: 'number', min: 0 },
+        SMS_BALANCE_ALERT_DAYS: { type: 'number', min: 0 },
+        SMS_BALANCE_ALERT_COOLDOWN_HOURS: { type: 'integer', min: 0 },
+        SMS_BALANCE_ALERT_EMAILS: { type: 'string', minLength: 3 },
+        SMS_BALANCE_ALERT_WEBHOOK_URL: { type: 'string', minLength: 1 },
+        SMS_BALANCE_RATE_WINDOW_DAYS: { type: 'integer', min: 1 },
+        SMS_COST_PER_MESSAGE: { type: 'number', min: 0 },
+        SMS_BALANCE_SNAPSHOT_RETENTION_DAYS: { type: 'integer', min: 1 },
+
+        SMTP_HOST: { type: 'string', required: 'production', minLength: 1 },
+        SMTP_PORT: { type: 'integer', min: 1, max: 65535 },
+        SMTP_SECURE: { type: 'boolean' },
+        SMTP_USER: { type: 'string', required: 'production', minLength: 1 },
+        SMTP_PASS: { type: 'string', required: 'production', minLength: 8, credential: true },
+        SMTP_FROM: { type: 'string', required: 'production', minLength: 3 },
+        EMAIL_OUTBOX_MAX_ATTEMPTS: { type: 'integer', min: 1 },
+        EMAIL_OUTBOX_RETRY_BASE_SECONDS: { type: 'integer', min: 1 },
+        EMAIL_OUTBOX_RETRY_MAX_SECONDS: { type: 'integer', min: 1 },
+        EMAIL_OUTBOX_POLL_SECONDS: { type: 'integer', min: 1 },
+        EMAIL_OUTBOX_BATCH_SIZE: { type: 'integer', min: 1, max: 500 },
+        EMAIL_OUTBOX_RETENTION_DAYS: { type: 'integer', min: 1 },
+
+        ADMIN_API_KEY: { type: 'string', minLength: 32, credential: true },
+
+        PUBLIC_BASE_URL: { type: 'string', required: 'production', minLength: 1 },
+        SECURITY_FREEZE_LINK_HOURS: { type: 'integer', min: 1 },
+        SECURITY_EVENT_RETENTION_DAYS: { type: 'integer', min: 1 },
+        SECURITY_NOTIFICATION_TIMEZONE: { type: 'timezone' },
+
+        JWT_SECRET: {
+            type: 'string',
+            required: env => env.NODE_ENV === 'production' && (env.JWT_ALGORITHM || 'HS256') === 'HS256',
+            minLength: 32,
+            forbidden: [ConfigValidator.FALLBACK_JWT_SECRET],
+            credential: true
+        },
+        OTP_HASH_SECRET: { type: 'string', required: 'production', minLength: 32, credential: true },
+        OTP_LENGTH: { type: 'integer', min: 4, max: 8 },
+        OTP_ALPHABET: { type: 'charset', minLength: 2 },
+        OTP_QUOTA_PHONE_HOURLY: { type: 'integer', min: 0 },
+        OTP_QUOTA_PHONE_DAILY: { type: 'integer', min: 0 },
+        OTP_QUOTA_IP_HOURLY: { type: 'integer', min: 0 },
+        OTP_QUOTA_IP_DAILY: { type: 'integer', min: 0 },
+        OTP_QUOTA_PREFIX_HOURLY: { type: 'integer', min: 0 },
+        OTP_QUOTA_PREFIX_DAILY: { type: 'integer', min: 0 },
+        OTP_QUOTA_PREFIX_DIGITS: { type: 'integer', min: 4, max: 12 },
+        OTP_SEND_LOG_RETENTION_DAYS: { type: 'integer', min: 1 },
+        OTP_DENY_PHONES: { type: 'string' },
+        OTP_DENY_PREFIXES: { type: 'string' },
+        OTP_DENY_IPS: { type: 'string' },
+
+        JWT_EXPIRES_IN: { type: 'duration' },
+        JWT_ISSUER: { type: 'string', minLength: 1 },
+        JWT_AUDIENCE: { type: 'string', minLength: 1 },
+        JWT_ALGORITHM: { type: 'enum', values: ['HS256', 'RS256', 'ES256'] },
+        JWT_KEYS_DIR: { type: 'string', minLength: 1 },
+        JWT_KEY_ROTATION_DAYS: { type: 'integer', min: 1 },
+        JWT_KEY_RETENTION_DAYS: { type: 'integer', min: 1 },
+        JWT_REFRESH_TOKEN_DAYS: { type: 'integer', min: 1 },
+
+        LOG_LEVEL: { type: 'enum', values: ['ERROR', 'WARN', 'INFO', 'DEBUG', 'TRACE'], caseInsensitive: true },
+        LOG_LOCALE: { type: 'locale' },
+        LOG_TIMEZONE: { type: 'timezone' },
+        LOG_DB: { type: 'boolean' },
+        FORCE_CONSOLE_LOG: { type: 'boolean' }
+    };
+
+    static validate(env = process.env, schema = ConfigValidator.SCHEMA) {
+        const errors = [];
+
+        for (const [name, rule] of Object.entries(schema)) {
+            const value = env[name];
+
+            if (value === undefined || value === '') {
+                if (ConfigValidator._isRequired(rule, env)) {
+                    errors.push(`${name} is required in ${env.NODE_ENV || 'development'}`);
+                }
+                continue;
+            }
+
+            errors.push(...ConfigValidator._validateValue(name, value, rule, env));
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    static assertValid(env = process.env) {
+        const { valid, errors } = ConfigValidator.validate(env);
+
+        if (!valid) {
+            const report = errors.map(error => `  - ${error}`).join('\n');
+            logger.error(`Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${report}`);
+            throw new Error(`Invalid configuration:\n${report}`);
+        }
+
+        logger.info('Configuration validated successfully');
+    }
+
+    static _isRequired(rule, env) {
+        if (typeof rule.required === 'function') {
+            return rule.required(env);
+        }
+
+        if (rule.required === 'production') {
+            return env.NODE_ENV === 'production';
+        }
+
+        return rule.required === true;
+    }
+
+    static _usesSmsProvider(env, provider) {
+        return (env.SMS_PROVIDER || 'semaphore') === provider || env.SMS_FALLBACK_PROVIDER === provider;
+    }
+
+    static _validateValue(name, value, rule, env) {
+        const errors = [];
+        const enforceStrength = !rule.credential || env.NODE_ENV === 'production';
+
+        switch (rule.type) {
+            case 'integer':
+                if (!/^-?\d+$/.test(value)) {
+                    errors.push(`${name} must be an integer (got "${value}")`);
+                    break;
+                }
+                if (rule.min !== undefined && parseInt(value) < rule.min) {
+                    errors.push(`${name} must be at least ${rule.min}`);
+                }
+                if (rule.max !== undefined && parseInt(value) > rule.max) {
+                    errors.push(`${name} must be at most ${rule.max}`);
+                }
+                break;
+
+            case 'number':
+                if (!/^-?\d*\.?\d+$/.test(value)) {
+                    errors.push(`${name} must be a number (got "${value}")`);
+                    break;
+                }
+                if (rule.min !== undefined && parseFloat(value) < rule.min) {
+                    errors.push(`${name} must be at least ${rule.min}`);
+                }
+                break;
+
+            case 'boolean':
+                if (!['true', 'false'].includes(value)) {
+                    errors.push(`${name} must be "true" or "false" (got "${value}")`);
+                }
+                break;
+
+            case 'enum': {
+                const candidate = rule.caseInsensitive ? value.toUpperCase() : value;
+                if (!rule.values.includes(candidate)) {
+                    errors.push(`${name} must be one of: ${rule.values.join(', ')} (got "${value}")`);
+                } else if (rule.devOnlyValues?.includes(candidate) && env.NODE_ENV === 'production') {
+                    errors.push(`${name} "${value}" is a development-only provider and cannot be used in production`);
+                }
+                break;
+            }
+
+            case 'duration':
+                if (!/^\d*\.?\d+\s*(ms|msecs?|milliseconds?|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?|y|yrs?|years?)?$/i.test(value)) {
+                    errors.push(`${name} must be a duration such as 900, 15m or 1h (got "${value}")`);
+                }
+                break;
+
+            case 'charset':
+                if (!/^[0-9A-Za-z]+$/.test(value)) {
+                    errors.push(`${name} may only contain letters and digits (got "${value}")`);
+                } else if (new Set(value).size !== value.length) {
+                    errors.push(`${name} must not contain repeated characters`);
+                }
+                break;
+
+            case 'locale':
+                if (!ConfigValidator._isSupportedLocale(value)) {
+                    errors.push(`${name} is not a valid locale (got "${value}")`);
+                }
+                break;
+
+            case 'timezone':
+                if (!ConfigValidator._isSupportedTimezone(value)) {
+                    errors.push(`${name} is not a valid IANA timezone (got "${value}")`);
+                }
+                break;
+
+            default:
+                break;
+        }
+
+        if (!enforceStrength) {
+            return errors;
+        }
+
+        if (rule.minLength !== undefined && value.length < rule.minLength) {
+            errors.push(`${name} must be at least ${rule.minLength} characters`);
+        }
+
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            errors.push(`${name} must be at most ${rule.maxLength} characters`);
+        }
+
+        if (rule.forbidden && rule.forbidden.includes(value)) {
+            errors.push(`${name} must not use the built-in default value`);
+        }
+
+        return errors;
+    }
+
+    static _isSupportedLocale(locale) {
+        try {
+            return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    static _isSupportedTimezone(timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = ConfigValidator;
@@ -1,5 +1,18 @@
 const { Sequelize } = require('sequelize');
 const Account = require('../models/Account');
+const EmailOutbox = require('../models/EmailOutbox');
+const EmailSuppression = require('../models/EmailSuppression');
+const OtpCode = require('../models/OtpCode');
+const OtpSendLog = require('../models/OtpSendLog');
+const OutboundMessage = require('../models/OutboundMessage');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const SecurityEvent = require('../models/SecurityEvent');
+const Session = require('../models/Session');
+const SmsBalanceSnapshot = require('../models/SmsBalanceSnapshot');
+const TrustedDevice = require('../models/TrustedDevice');
+const MigrationRunner = require('./MigrationRunner');
+const migrations = require('../migrations');
 const logger = require('../utils/Logger');
 
 class DatabaseConnection {
@@ -61,6 +74,17 @@ class DatabaseConnection {
 
     _registerModels() {
         this.models.set('Account', Account);
+        this.models.set('EmailOutbox', EmailOutbox);
+        this.models.set('EmailSuppression', EmailSuppression);
+        this.models.set('OtpCode', OtpCode);
+        this.models.set('OtpSendLog', OtpSendLog);
+        this.models.set('OutboundMessage', OutboundMessage);
+        this.models.set('RefreshToken', RefreshToken);
+        this.models.set('RevokedToken', RevokedToken);
+        this.models.set('SecurityEvent', SecurityEvent);
+        this.models.set('Session', Session);
+        this.models.set('SmsBalanceSnapshot', SmsBalanceSnapshot);
+        this.models.set('TrustedDevice', TrustedDevice);
     }
 
     async authenticate() {
@@ -92,12 +116,19 @@ class DatabaseConnection {
 
             await this.sequelize.sync(syncOptions);
             logger.info('Database models synchronized successfully.');
+
+            await this.runMigrations();
         } catch (error) {
             logger.error('Failed to sync database models:', error);
             throw new Error(`Model synchronization failed: ${error.message}`);
         }
     }
 
+    async runMigrations() {
+        const runner = new MigrationRunner(this.sequelize, migrations);
+        return await runner.run();
+    }
+
     _initializeModels() {
         for (const [name, model] of this.models) {
             if (this._isValidModel(model)) {
@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const logger = require('../utils/Logger');
+
+class MigrationRunner {
+    constructor(sequelize, migrations = []) {
+        this.sequelize = sequelize;
+        this.queryInterface = sequelize.getQueryInterface();
+        this.migrations = migrations;
+        this.tableName = 'schema_migrations';
+    }
+
+    async run() {
+        await this._ensureMigrationsTable();
+        const completed = await this._getCompletedMigrations();
+        let appliedCount = 0;
+
+        for (const migration of this.migrations) {
+            if (completed.has(migration.name)) {
+                continue;
+            }
+
+            await this._applyMigration(migration);
+            appliedCount++;
+        }
+
+        if (appliedCount > 0) {
+            logger.info(`Applied ${appliedCount} database migration(s)`);
+        }
+
+        return appliedCount;
+    }
+
+    async _ensureMigrationsTable() {
+        await this.queryInterface.createTable(this.tableName, {
+            name: {
+                type: DataTypes.STRING,
+                primaryKey: true
+            },
+            appliedAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            }
+        });
+    }
+
+    async _getCompletedMigrations() {
+        const [rows] = await this.sequelize.query(`SELECT name FROM ${this.tableName}`);
+        return new Set(rows.map(row => row.name));
+    }
+
+    async _applyMigration(migration) {
+        try {
+            logger.info(`Running migration ${migration.name}...`);
+
+            await this.sequelize.transaction(async (transaction) => {
+                await migration.up({
+                    sequelize: this.sequelize,
+                    queryInterface: this.queryInterface,
+                    transaction,
+                    addColumnIfMissing: (tableName, columnName, definition) =>
+                        this._addColumnIfMissing(tableName, columnName, definition, transaction)
+                });
+
+                await this.queryInterface.bulkInsert(this.tableName, [{
+                    name: migration.name,
+                    appliedAt: new Date()
+                }], { transaction });
+            });
+
+            logger.info(`Migration ${migration.name} completed`);
+        } catch (error) {
+            logger.error(`Migration ${migration.name} failed:`, error);
+            throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+        }
+    }
+
+    async _addColumnIfMissing(tableName, columnName, definition, transaction) {
+        const columns = await this.queryInterface.describeTable(tableName, { transaction });
+        if (columns[columnName]) {
+            return false;
+        }
+
+        await this.queryInterface.addColumn(tableName, columnName, definition, { transaction });
+        return true;
+    }
+}
+
+module.exports = MigrationRunner;
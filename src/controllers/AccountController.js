@@ -1,15 +1,37 @@
+const { Transaction } = require('sequelize');
 const BaseController = require('./BaseController');
 const Account = require('../models/Account');
-const SemaphoreService = require('../utils/SemaphoreService');
+const OtpCode = require('../models/OtpCode');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const SecurityEvent = require('../models/SecurityEvent');
+const Session = require('../models/Session');
+const TrustedDevice = require('../models/TrustedDevice');
+const SmsService = require('../utils/SmsService');
 const BrevoService = require('../utils/BrevoService');
+const OtpDeliveryService = require('../utils/OtpDeliveryService');
+const OtpQuotaService = require('../utils/OtpQuotaService');
+const MessageTrackingService = require('../utils/MessageTrackingService');
+const SecurityNotificationService = require('../utils/SecurityNotificationService');
 const JwtService = require('../utils/JwtService');
 
 class AccountController extends BaseController {
     constructor() {
         super();
-        this.smsService = new SemaphoreService();
+        this.smsService = new SmsService();
         this.emailService = new BrevoService();
+        this.otpDeliveryService = new OtpDeliveryService({
+            smsService: this.smsService,
+            emailService: this.emailService
+        });
+        this.otpQuotaService = new OtpQuotaService();
+        this.messageTracker = new MessageTrackingService();
+        this.securityNotifications = new SecurityNotificationService({
+            smsService: this.smsService,
+            emailService: this.emailService
+        });
         this.jwtService = new JwtService();
+        this.publicBaseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
     }
 
     async checkAccountExists(phoneNumber) {
@@ -21,13 +43,26 @@ class AccountController extends BaseController {
         }
     }
 
-    async sendVerificationCode(phoneNumber) {
+    async sendVerificationCode(phoneNumber, { channel = 'sms', ipAddress = null } = {}) {
         try {
             const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
             const account = await Account.findByPhoneNumber(normalizedPhone);
+            const verifiedEmail = account && account.emailVerified ? account.email : null;
+
+            if (channel === 'email' && !verifiedEmail) {
+                throw this.createError('Email delivery needs an existing account with a verified email address', 400);
+            }
 
-            this._validateRateLimit(account);
-            const result = await this.smsService.sendOTP(normalizedPhone);
+            await this._validateOtpCooldown(this.smsService, normalizedPhone, 'signup');
+            const result = await this.otpQuotaService.sendWithinQuota(
+                { phoneNumber: normalizedPhone, ipAddress, purpose: 'signup' },
+                () => this.otpDeliveryService.sendPhoneOTP(normalizedPhone, {
+                    purpose: 'signup',
+                    preferredChannel: channel,
+                    email: verifiedEmail,
+                    locale: account ? account.locale : null
+                })
+            );
             await this._updateVerificationTimestamp(account);
 
             return result;
@@ -36,42 +71,85 @@ class AccountController extends BaseController {
         }
     }
 
+    async getMessageStatus(trackingId) {
+        try {
+            if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(trackingId || '')) {
+                throw this.createError('Invalid tracking ID', 400);
+            }
+
+            const status = await this.messageTracker.getStatus(trackingId);
+            if (!status) {
+                throw this.createError('Message not found', 404);
+            }
+
+            return status;
+        } catch (error) {
+            throw this.handleError(error, 'Failed to get message status');
+        }
+    }
+
     async verifyCode(phoneNumber, code) {
         try {
             const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
-            const verification = await this.smsService.verifyOTP(normalizedPhone, code);
-            return verification.status === 'approved';
+            const verification = await this.smsService.verifyOTP(normalizedPhone, code, { purpose: 'signup' });
+
+            if (verification.status !== 'approved') {
+                return { verified: false };
+            }
+
+            const verificationTicket = this.jwtService.generateVerificationTicket({
+                phoneNumber: normalizedPhone,
+                purpose: 'signup'
+            });
+
+            return {
+                verified: true,
+                verificationTicket,
+                expiresIn: '10m'
+            };
         } catch (error) {
             throw this.handleError(error, 'Failed to verify code');
         }
     }
 
-    async createAccount({ phoneNumber, pin }) {
+    async createAccount({ phoneNumber, pin, verificationTicket }, deviceInfo = {}) {
         try {
+            const fingerprint = this._requireDeviceFingerprint(deviceInfo);
             await this._validateUniqueAccount(phoneNumber);
-            const newAccount = await this._createNewAccount(phoneNumber, pin);
-            const token = this._generateAuthToken(newAccount);
+            const ticket = this._validateVerificationTicket(verificationTicket, phoneNumber, 'signup');
+            const newAccount = await this._createNewAccount(phoneNumber, pin, ticket);
+            await TrustedDevice.trust(newAccount.id, fingerprint, deviceInfo);
+            const tokens = await this._issueSessionTokens(newAccount, deviceInfo);
 
             return {
                 account: newAccount.toSafeJSON(),
-                token
+                ...tokens
             };
         } catch (error) {
             throw this.handleError(error, 'Failed to create account');
         }
     }
 
-    async loginWithPin(phoneNumber, pin) {
+    async loginWithPin(phoneNumber, pin, deviceInfo = {}) {
         try {
+            const fingerprint = this._requireDeviceFingerprint(deviceInfo);
             const account = await this._findAndValidateAccount(phoneNumber);
             this._validateAccountStatus(account);
-            this._validatePin(account, pin);
+            await this._validatePinLockout(account);
+            await this._validatePin(account, pin);
+            await account.resetPinAttempts();
 
-            const token = this._generateAuthToken(account);
+            const trustedDevice = await TrustedDevice.findTrusted(account.id, fingerprint);
+            if (!trustedDevice) {
+                return await this._startDeviceChallenge(account, fingerprint, deviceInfo.ipAddress);
+            }
+
+            await trustedDevice.markUsed();
+            const tokens = await this._issueSessionTokens(account, deviceInfo);
 
             return {
                 account: account.toSafeJSON(),
-                token,
+                ...tokens,
                 message: 'Login successful'
             };
         } catch (error) {
@@ -79,9 +157,336 @@ class AccountController extends BaseController {
         }
     }
 
+    async verifyDeviceChallenge(challengeToken, code, deviceInfo = {}) {
+        try {
+            const decoded = this.jwtService.verifyDeviceChallengeToken(challengeToken);
+            const account = await this._findAndValidateAccount(decoded.phoneNumber);
+            this._validateAccountStatus(account);
+
+            const fingerprint = this._requireDeviceFingerprint(deviceInfo);
+            if (account.id !== decoded.accountId || fingerprint !== decoded.fingerprint) {
+                throw this.createError('Device challenge does not match this device', 401);
+            }
+
+            await this._validatePinLockout(account);
+
+            const verification = await this.smsService.verifyOTP(account.phoneNumber, code, { purpose: 'login_stepup' });
+            if (verification.status !== 'approved') {
+                throw this.createError(verification.message || 'Invalid SMS verification code', 401);
+            }
+
+            await TrustedDevice.trust(account.id, fingerprint, deviceInfo);
+            this.logInfo('New device verified and trusted', { phoneNumber: account.phoneNumber });
+
+            const tokens = await this._issueSessionTokens(account, deviceInfo);
+            await this._notifySecurityEventSafely(account, 'new_device_login', {
+                deviceName: deviceInfo.deviceName || null,
+                platform: deviceInfo.platform || null,
+                ipAddress: deviceInfo.ipAddress || null
+            });
+
+            return {
+                account: account.toSafeJSON(),
+                ...tokens,
+                message: 'Login successful'
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to verify device');
+        }
+    }
+
+    async listTrustedDevices(phoneNumber, deviceInfo = {}) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            const devices = await TrustedDevice.findAllForAccount(account.id);
+            const currentFingerprint = this._getDeviceFingerprint(deviceInfo);
+
+            return {
+                devices: devices.map(device => device.toPublicJSON(currentFingerprint))
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to list trusted devices');
+        }
+    }
+
+    async removeTrustedDevice(phoneNumber, deviceId) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            const device = await TrustedDevice.findOne({ where: { id: deviceId, accountId: account.id } });
+
+            if (!device) {
+                throw this.createError('Trusted device not found', 404);
+            }
+
+            await device.destroy();
+            this.logInfo('Trusted device removed', { phoneNumber: account.phoneNumber, deviceId });
+
+            return { message: 'Trusted device removed successfully' };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to remove trusted device');
+        }
+    }
+
+    async refreshSession(refreshToken) {
+        try {
+            const storedToken = await RefreshToken.findByToken(refreshToken);
+            if (!storedToken) {
+                throw this.createError('Invalid refresh token', 401);
+            }
+
+            if (storedToken.rotatedAt || storedToken.revokedAt) {
+                await this._handleRefreshTokenReuse(storedToken);
+            }
+
+            if (storedToken.isExpired()) {
+                throw this.createError('Refresh token has expired. Please log in again.', 401);
+            }
+
+            const account = await Account.findByPk(storedToken.accountId);
+            if (!account || !account.smsVerified) {
+                throw this.createError('Invalid refresh token', 401);
+            }
+            this._validateAccountNotFrozen(account);
+
+            const session = await Session.findByRefreshFamily(storedToken.familyId);
+            if (session && !session.isActive()) {
+                throw this.createError('Session has been revoked. Please log in again.', 401);
+            }
+
+            const rotated = await storedToken.rotate();
+            if (!rotated) {
+                await this._handleRefreshTokenReuse(storedToken);
+            }
+
+            let token;
+            if (session) {
+                session.expiresAt = rotated.record.expiresAt;
+                token = await this._generateSessionToken(account, session);
+            } else {
+                token = await this._generateAuthToken(account);
+            }
+
+            return {
+                token,
+                expiresIn: this.jwtService.expiresIn,
+                refreshToken: rotated.token
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to refresh session');
+        }
+    }
+
+    async logout(phoneNumber, auth, refreshToken = null) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            await this._revokeAccessToken(account, auth, 'logout');
+
+            if (auth && auth.sessionId) {
+                const session = await Session.findOne({ where: { id: auth.sessionId, accountId: account.id } });
+                if (session) {
+                    await this._revokeSession(session, 'logout');
+                }
+            }
+
+            if (refreshToken) {
+                const storedToken = await RefreshToken.findByToken(refreshToken);
+                if (storedToken && storedToken.accountId === account.id) {
+                    await RefreshToken.revokeFamily(storedToken.familyId, 'logout');
+                }
+            }
+
+            this.logInfo('Account logged out', { phoneNumber: account.phoneNumber });
+            return { message: 'Logged out successfully' };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to logout');
+        }
+    }
+
+    async logoutAll(phoneNumber, auth) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            await this._revokeAccessToken(account, auth, 'logout_all');
+            await account.invalidateSessions();
+            const revokedRefreshTokens = await RefreshToken.revokeAllForAccount(account.id, 'logout_all');
+            await Session.revokeAllForAccount(account.id, 'logout_all');
+
+            this.logInfo('All sessions logged out', {
+                phoneNumber: account.phoneNumber,
+                revokedRefreshTokens
+            });
+            return { message: 'Logged out from all devices' };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to logout from all devices');
+        }
+    }
+
+    async listSessions(phoneNumber, auth) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            const sessions = await Session.findActiveForAccount(account.id);
+            const currentSessionId = auth ? auth.sessionId : null;
+
+            return {
+                sessions: sessions.map(session => session.toPublicJSON(currentSessionId))
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to list sessions');
+        }
+    }
+
+    async revokeSession(phoneNumber, sessionId) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            const session = await Session.findOne({ where: { id: sessionId, accountId: account.id } });
+
+            if (!session || !session.isActive()) {
+                throw this.createError('Session not found', 404);
+            }
+
+            await this._revokeSession(session, 'revoked_by_user');
+            this.logInfo('Session revoked', { phoneNumber: account.phoneNumber, sessionId });
+
+            return { message: 'Session revoked successfully' };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to revoke session');
+        }
+    }
+
+    async sendPinUnlockCode(phoneNumber, { ipAddress = null } = {}) {
+        try {
+            const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
+            const account = await this._findAndValidateAccount(normalizedPhone);
+            this._validateAccountStatus(account);
+
+            if (!account.isPinLocked() && account.failedPinAttempts === 0) {
+                throw new Error('Account is not locked');
+            }
+
+            await this._validateOtpCooldown(this.smsService, normalizedPhone, 'account_unlock');
+            const result = await this._sendPhoneOtp(account, 'account_unlock', ipAddress);
+            await this._updateVerificationTimestamp(account);
+
+            return result;
+        } catch (error) {
+            throw this.handleError(error, 'Failed to send unlock code');
+        }
+    }
+
+    async unlockPin(phoneNumber, code) {
+        try {
+            const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
+            const account = await this._findAndValidateAccount(normalizedPhone);
+            this._validateAccountNotFrozen(account);
+
+            const verification = await this.smsService.verifyOTP(normalizedPhone, code, { purpose: 'account_unlock' });
+            if (verification.status !== 'approved') {
+                throw new Error(verification.message || 'Invalid SMS verification code');
+            }
+
+            await account.resetPinAttempts();
+            this.logInfo('PIN lock cleared via SMS verification', { phoneNumber: normalizedPhone });
+
+            return {
+                message: 'Account unlocked. You can now log in with your PIN.',
+                lockStatus: account.getPinLockStatus()
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to unlock account');
+        }
+    }
+
+    async requestPinReset(phoneNumber, { ipAddress = null } = {}) {
+        try {
+            const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
+            const account = await this._findAndValidateAccount(normalizedPhone);
+            this._validateAccountStatus(account);
+            await this._validateOtpCooldown(this.smsService, normalizedPhone, 'pin_reset');
+
+            const result = await this._sendPhoneOtp(account, 'pin_reset', ipAddress);
+            await this._updateVerificationTimestamp(account);
+
+            return result;
+        } catch (error) {
+            throw this.handleError(error, 'Failed to send PIN reset code');
+        }
+    }
+
+    async verifyPinResetCode(phoneNumber, code) {
+        try {
+            const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
+            const account = await this._findAndValidateAccount(normalizedPhone);
+            this._validateAccountNotFrozen(account);
+
+            const verification = await this.smsService.verifyOTP(normalizedPhone, code, { purpose: 'pin_reset' });
+            if (verification.status !== 'approved') {
+                throw new Error(verification.message || 'Invalid SMS verification code');
+            }
+
+            const resetTokenId = await account.startPinReset();
+            const resetToken = this.jwtService.generatePasswordResetToken({
+                phoneNumber: account.phoneNumber,
+                accountId: account.id,
+                jti: resetTokenId
+            });
+
+            return {
+                resetToken,
+                expiresIn: '15m'
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to verify PIN reset code');
+        }
+    }
+
+    async resetPin(resetToken, newPin) {
+        try {
+            const decoded = this.jwtService.verifyPasswordResetToken(resetToken);
+            const account = await this._findAndValidateAccount(decoded.phoneNumber);
+
+            if (account.id !== decoded.accountId) {
+                throw new Error('PIN reset token is invalid or has already been used');
+            }
+            this._validateAccountNotFrozen(account);
+
+            await account.completePinReset(decoded.jti, newPin);
+            await RefreshToken.revokeAllForAccount(account.id, 'pin_reset');
+            await Session.revokeAllForAccount(account.id, 'pin_reset');
+            this.logInfo('PIN reset completed', { phoneNumber: account.phoneNumber });
+
+            await this._notifySecurityEventSafely(account, 'pin_reset');
+
+            return { message: 'PIN reset successfully. Please log in with your new PIN.' };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to reset PIN');
+        }
+    }
+
+    async changePin(phoneNumber, currentPin, newPin) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            await this._validatePinLockout(account);
+            await this._validatePin(account, currentPin);
+            await account.resetPinAttempts();
+
+            if (currentPin === newPin) {
+                throw new Error('New PIN must be different from your current PIN');
+            }
+
+            await account.updatePin(newPin);
+            this.logInfo('PIN changed', { phoneNumber: account.phoneNumber });
+
+            await this._notifySecurityEventSafely(account, 'pin_changed');
+
+            return { message: 'PIN changed successfully' };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to change PIN');
+        }
+    }
+
     async addEmail(phoneNumber, email) {
         try {
             const account = await this._findAndValidateAccount(phoneNumber);
+            await this.emailService.suppressions.assertNotSuppressed(email);
             await account.updateEmail(email);
             return account.toSafeJSON();
         } catch (error) {
@@ -89,13 +494,27 @@ class AccountController extends BaseController {
         }
     }
 
+    async updateLocale(phoneNumber, locale) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            await account.updateLocale(locale);
+            return { locale: account.locale };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to update locale');
+        }
+    }
+
     async sendEmailVerification(phoneNumber) {
         try {
             const account = await this._findAndValidateAccount(phoneNumber);
             this._validateEmailForVerification(account);
-            this._validateEmailRateLimit(account);
+            await this._validateOtpCooldown(this.emailService, account.email, 'email_verification');
 
-            const result = await this.emailService.sendEmailOTP(account.email);
+            const result = await this.emailService.sendEmailOTP(account.email, {
+                purpose: 'email_verification',
+                locale: account.locale,
+                verificationLink: this._createEmailVerificationLink(account)
+            });
             await this._updateEmailVerificationTimestamp(account);
 
             return result;
@@ -110,7 +529,7 @@ class AccountController extends BaseController {
             this._validateEmailForVerification(account);
             this._validateEmailAttempts(account);
 
-            const verification = await this.emailService.verifyEmailOTP(account.email, code);
+            const verification = await this.emailService.verifyEmailOTP(account.email, code, { purpose: 'email_verification' });
 
             if (verification.status === 'approved') {
                 await account.markEmailAsVerified();
@@ -125,16 +544,70 @@ class AccountController extends BaseController {
         }
     }
 
-    async requestEmailChange(phoneNumber, newEmail) {
+    async getEmailVerificationLink(token) {
+        try {
+            const { decoded, account } = await this._findEmailVerificationLinkTarget(token);
+
+            if (account.emailVerified) {
+                return { email: account.email, alreadyVerified: true, expiresAt: new Date(decoded.exp * 1000) };
+            }
+
+            if (await RevokedToken.isRevoked(decoded.jti)) {
+                throw this.createError('This verification link has already been used. Please request a new verification email.', 410);
+            }
+
+            return { email: account.email, alreadyVerified: false, expiresAt: new Date(decoded.exp * 1000) };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to look up email verification link');
+        }
+    }
+
+    async verifyEmailLink(token) {
+        try {
+            const { decoded, account } = await this._findEmailVerificationLinkTarget(token);
+
+            if (account.emailVerified) {
+                return { verified: true, alreadyVerified: true, email: account.email };
+            }
+
+            const consumed = await RevokedToken.consume(decoded.jti, {
+                accountId: account.id,
+                expiresAt: new Date(decoded.exp * 1000),
+                reason: 'email_verification_link_used'
+            });
+
+            if (!consumed) {
+                throw this.createError('This verification link has already been used. Please request a new verification email.', 410);
+            }
+
+            await account.markEmailAsVerified();
+            await this._sendWelcomeEmailSafely(account);
+
+            return { verified: true, alreadyVerified: false, email: account.email };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to verify email link');
+        }
+    }
+
+    async requestEmailChange(phoneNumber, newEmail, { ipAddress = null } = {}) {
         try {
             const account = await this._findAndValidateAccount(phoneNumber);
             this._validateEmailChange(account, newEmail);
+            await this.emailService.suppressions.assertNotSuppressed(newEmail);
+
+            await this._validateOtpCooldown(this.smsService, account.phoneNumber, 'email_change');
+            const result = await this._sendPhoneOtp(account, 'email_change', ipAddress);
 
             account.pendingEmail = newEmail;
             account.emailChangeVerificationStep = 'sms_pending';
             await account.save();
+            await this._updateVerificationTimestamp(account);
 
-            return { message: 'Email change requested. SMS verification required first.' };
+            return {
+                message: `Email change requested. Verification code ${this._describeOtpDestination(result.channel)}.`,
+                channel: result.channel,
+                trackingId: result.trackingId
+            };
         } catch (error) {
             throw this.handleError(error, 'Failed to request email change');
         }
@@ -145,9 +618,9 @@ class AccountController extends BaseController {
             const account = await this._findAndValidateAccount(phoneNumber);
             this._validateEmailChangeStep(account, 'sms_pending');
 
-            const verification = await this.smsService.verifyOTP(phoneNumber, code);
+            const verification = await this.smsService.verifyOTP(account.phoneNumber, code, { purpose: 'email_change' });
             if (verification.status !== 'approved') {
-                throw new Error('Invalid SMS verification code');
+                throw new Error(verification.message || 'Invalid SMS verification code');
             }
 
             await this._progressEmailChangeToEmailStep(account);
@@ -170,7 +643,7 @@ class AccountController extends BaseController {
 
             this._validateEmailChangeStep(account, 'email_pending');
 
-            const verification = await this.emailService.verifyEmailOTP(account.pendingEmail, code);
+            const verification = await this.emailService.verifyEmailOTP(account.pendingEmail, code, { purpose: 'email_change' });
             if (verification.status !== 'approved') {
                 throw new Error(verification.message || 'Invalid email verification code');
             }
@@ -196,11 +669,148 @@ class AccountController extends BaseController {
         }
     }
 
-    _validateRateLimit(account) {
-        if (account && !account.canSendVerification()) {
-            const timeLeft = 60000 - (new Date() - account.lastVerificationSent);
-            const secondsLeft = Math.ceil(timeLeft / 1000);
-            throw new Error(`Please wait ${secondsLeft} seconds before requesting another code`);
+    async listSecurityEvents(phoneNumber) {
+        try {
+            const account = await this._findAndValidateAccount(phoneNumber);
+            const events = await SecurityEvent.findRecentForAccount(account.id);
+            return { events: events.map(event => event.toPublicJSON()) };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to list security events');
+        }
+    }
+
+    async getFreezeLink(token) {
+        try {
+            const { event, account } = await this._findFreezeLinkTarget(token);
+
+            return {
+                eventType: event.type,
+                occurredAt: event.createdAt,
+                expiresAt: event.freezeTokenExpiresAt,
+                alreadyFrozen: account.isFrozen()
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to look up freeze link');
+        }
+    }
+
+    async freezeAccount(token) {
+        try {
+            const { event, account } = await this._findFreezeLinkTarget(token);
+
+            if (event.freezeUsedAt && !account.isFrozen()) {
+                throw this.createError('This freeze link has already been used', 410);
+            }
+
+            if (!account.isFrozen()) {
+                await account.freeze(`security_link:${event.type}`);
+                await RefreshToken.revokeAllForAccount(account.id, 'account_frozen');
+                await Session.revokeAllForAccount(account.id, 'account_frozen');
+                await TrustedDevice.removeAllForAccount(account.id);
+                this.logWarn('Account frozen from security notification link', {
+                    phoneNumber: account.phoneNumber,
+                    eventId: event.id,
+                    eventType: event.type
+                });
+            }
+
+            if (!event.freezeUsedAt) {
+                await event.markFreezeUsed();
+            }
+
+            return {
+                message: 'Your account has been frozen. All devices were signed out. Contact Kachingko support to restore access.',
+                frozenAt: account.frozenAt
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to freeze account');
+        }
+    }
+
+    async unfreezeAccount(accountId) {
+        try {
+            const account = await this._findAccountById(accountId);
+
+            if (!account.isFrozen()) {
+                throw this.createError('Account is not frozen', 409);
+            }
+
+            await account.unfreeze();
+            this.logInfo('Account unfrozen', { phoneNumber: account.phoneNumber });
+
+            return {
+                account: account.toPublicJSON(),
+                message: 'Account unfrozen. The user can log in again.'
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to unfreeze account');
+        }
+    }
+
+    async reviewKyc(accountId, { status, reason = null, birthDate = null } = {}) {
+        try {
+            const account = await this._findAccountById(accountId);
+
+            if (!['approved', 'rejected'].includes(status)) {
+                throw this.createError('KYC decision must be either approved or rejected', 400);
+            }
+
+            const normalizedReason = typeof reason === 'string' ? reason.trim() : '';
+            if (status === 'rejected' && !normalizedReason) {
+                throw this.createError('A reason is required when rejecting KYC', 400);
+            }
+
+            if (normalizedReason.length > 500) {
+                throw this.createError('KYC decision reason must be 500 characters or fewer', 400);
+            }
+
+            const normalizedBirthDate = birthDate ? this._normalizeBirthDate(birthDate) : null;
+            if (normalizedBirthDate && status !== 'approved') {
+                throw this.createError('A birth date can only be recorded when approving KYC', 400);
+            }
+
+            if (account.kycStatus === status) {
+                throw this.createError(`KYC is already ${status}`, 409);
+            }
+
+            await account.updateKycStatus(status, null, normalizedBirthDate);
+            this.logInfo('KYC decision recorded', { phoneNumber: account.phoneNumber, status });
+
+            await this._notifySecurityEventSafely(account, `kyc_${status}`, status === 'rejected' ? { reason: normalizedReason } : {});
+
+            return {
+                account: account.toPublicJSON(),
+                message: `KYC ${status}`
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to record KYC decision');
+        }
+    }
+
+    _normalizeBirthDate(birthDate) {
+        const match = typeof birthDate === 'string' ? birthDate.trim().match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+        const date = match ? new Date(Date.UTC(match[1], match[2] - 1, match[3])) : null;
+
+        if (!date || date.toISOString().slice(0, 10) !== match[0]) {
+            throw this.createError('Birth date must be a valid date in YYYY-MM-DD format', 400);
+        }
+
+        const age = new Date().getUTCFullYear() - date.getUTCFullYear();
+        if (date > new Date() || age > 120) {
+            throw this.createError('Birth date is out of range', 400);
+        }
+
+        return match[0];
+    }
+
+    async _validateOtpCooldown(service, recipient, purpose) {
+        const secondsLeft = await service.getCooldownRemaining(recipient, { purpose });
+        if (secondsLeft > 0) {
+            throw this.createError(
+                `Please wait ${secondsLeft} seconds before requesting another code`,
+                429,
+                { retryAfter: secondsLeft }
+            );
         }
     }
 
@@ -218,22 +828,190 @@ class AccountController extends BaseController {
         }
     }
 
-    async _createNewAccount(phoneNumber, pin) {
-        return await Account.createAccount({
-            phoneNumber,
-            pin,
-            smsVerified: true
+    _validateVerificationTicket(verificationTicket, phoneNumber, purpose) {
+        let decoded;
+        try {
+            decoded = this.jwtService.verifyVerificationTicket(verificationTicket);
+        } catch (error) {
+            throw this.createError('Invalid or expired verification ticket. Please verify your phone number again.', 401);
+        }
+
+        const normalizedPhone = Account.normalizePhoneNumber(phoneNumber);
+        if (decoded.phoneNumber !== normalizedPhone || decoded.purpose !== purpose) {
+            throw this.createError('Verification ticket does not match this request', 401);
+        }
+
+        return decoded;
+    }
+
+    async _createNewAccount(phoneNumber, pin, ticket) {
+        return await Account.sequelize.transaction({ type: Transaction.TYPES.IMMEDIATE }, async (transaction) => {
+            const consumed = await RevokedToken.consume(ticket.jti, {
+                expiresAt: new Date(ticket.exp * 1000),
+                reason: 'verification_ticket_used',
+                transaction
+            });
+
+            if (!consumed) {
+                throw this.createError('Verification ticket has already been used. Please verify your phone number again.', 401);
+            }
+
+            return await Account.createAccount({
+                phoneNumber,
+                pin,
+                smsVerified: true
+            }, { transaction });
         });
     }
 
-    _generateAuthToken(account) {
-        return this.jwtService.generateToken({
+    async _issueSessionTokens(account, deviceInfo = {}) {
+        const { token: refreshToken, record } = await RefreshToken.issue(account.id);
+        const session = await Session.create({
+            accountId: account.id,
+            refreshFamilyId: record.familyId,
+            deviceName: deviceInfo.deviceName || null,
+            platform: deviceInfo.platform || null,
+            appVersion: deviceInfo.appVersion || null,
+            ipAddress: deviceInfo.ipAddress || null,
+            userAgent: deviceInfo.userAgent || null,
+            expiresAt: record.expiresAt
+        });
+
+        const token = await this._generateSessionToken(account, session);
+
+        return {
+            token,
+            expiresIn: this.jwtService.expiresIn,
+            refreshToken,
+            sessionId: session.id
+        };
+    }
+
+    _getDeviceFingerprint(deviceInfo) {
+        return deviceInfo.deviceId ? TrustedDevice.fingerprint(deviceInfo.deviceId, deviceInfo.userAgent) : null;
+    }
+
+    _requireDeviceFingerprint(deviceInfo) {
+        const fingerprint = this._getDeviceFingerprint(deviceInfo);
+        if (!fingerprint) {
+            throw this.createError('A device ID is required. Send deviceId in the body or the X-Device-Id header.', 400);
+        }
+        return fingerprint;
+    }
+
+    async _startDeviceChallenge(account, fingerprint, ipAddress = null) {
+        let codeSent = false;
+        let trackingId = null;
+        let channel = null;
+        let resendAvailableIn = await this.smsService.getCooldownRemaining(account.phoneNumber, { purpose: 'login_stepup' });
+        if (resendAvailableIn === 0) {
+            const result = await this._sendPhoneOtp(account, 'login_stepup', ipAddress);
+            trackingId = result.trackingId;
+            channel = result.channel;
+            await this._updateVerificationTimestamp(account);
+            resendAvailableIn = OtpCode.getPurposePolicy('login_stepup').cooldownSeconds;
+            codeSent = true;
+        }
+
+        const challengeToken = this.jwtService.generateDeviceChallengeToken({
+            phoneNumber: account.phoneNumber,
+            accountId: account.id,
+            fingerprint
+        });
+
+        this.logInfo('Login from unrecognized device - challenge issued', { phoneNumber: account.phoneNumber });
+
+        return {
+            challengeRequired: true,
+            challengeToken,
+            expiresIn: '5m',
+            codeSent,
+            channel,
+            trackingId,
+            resendAvailableIn,
+            message: codeSent
+                ? `New device detected. Enter the verification code ${this._describeOtpDestination(channel)}.`
+                : 'New device detected. Enter the verification code sent earlier.'
+        };
+    }
+
+    async _sendPhoneOtp(account, purpose, ipAddress = null) {
+        const phoneNumber = account.phoneNumber;
+
+        return await this.otpQuotaService.sendWithinQuota(
+            { phoneNumber, ipAddress, purpose },
+            () => this.otpDeliveryService.sendPhoneOTP(phoneNumber, {
+                purpose,
+                email: account.emailVerified ? account.email : null,
+                locale: account.locale
+            })
+        );
+    }
+
+    _describeOtpDestination(channel) {
+        const destinations = {
+            sms: 'sent to your phone number',
+            email: 'sent to your verified email address',
+            voice: 'read out in a call to your phone number'
+        };
+        return destinations[channel] || 'sent to you';
+    }
+
+    async _generateSessionToken(account, session) {
+        const token = await this._generateAuthToken(account, session.id);
+
+        session.jti = this.jwtService.decodeToken(token).jti;
+        session.lastSeenAt = new Date();
+        await session.save();
+
+        return token;
+    }
+
+    async _revokeSession(session, reason) {
+        await session.revoke(reason);
+
+        if (session.refreshFamilyId) {
+            await RefreshToken.revokeFamily(session.refreshFamilyId, reason);
+        }
+    }
+
+    async _revokeAccessToken(account, auth, reason) {
+        if (!auth || !auth.jti) {
+            return;
+        }
+
+        await RevokedToken.revoke(auth.jti, {
+            accountId: account.id,
+            expiresAt: auth.expiresAt,
+            reason
+        });
+    }
+
+    async _handleRefreshTokenReuse(storedToken) {
+        const revokedCount = await RefreshToken.revokeFamily(storedToken.familyId, 'reuse_detected');
+        await Session.revokeByRefreshFamily(storedToken.familyId, 'reuse_detected');
+        this.logWarn('Refresh token reuse detected - token family revoked', {
+            accountId: storedToken.accountId,
+            familyId: storedToken.familyId,
+            revokedCount
+        });
+        throw this.createError('Refresh token is no longer valid. Please log in again.', 401);
+    }
+
+    _generateAuthToken(account, sessionId = null) {
+        const payload = {
             phoneNumber: account.phoneNumber,
             accountId: account.id,
             smsVerified: account.smsVerified,
             emailVerified: account.emailVerified,
             fullyVerified: account.fullyVerified
-        });
+        };
+
+        if (sessionId) {
+            payload.sessionId = sessionId;
+        }
+
+        return this.jwtService.generateToken(payload);
     }
 
     async _findAndValidateAccount(phoneNumber) {
@@ -244,15 +1022,113 @@ class AccountController extends BaseController {
         return account;
     }
 
+    async _findAccountById(accountId) {
+        const account = /^\d+$/.test(String(accountId)) ? await Account.findByPk(parseInt(accountId)) : null;
+        if (!account) {
+            throw this.createError('Account not found', 404);
+        }
+        return account;
+    }
+
+    async _findEmailVerificationLinkTarget(token) {
+        const decoded = this._validateEmailVerificationToken(token);
+        const account = await Account.findByPk(decoded.accountId);
+
+        if (!account || account.email !== decoded.email) {
+            throw this.createError('This verification link is no longer valid. Please request a new verification email.', 400);
+        }
+
+        this._validateAccountNotFrozen(account);
+
+        return { decoded, account };
+    }
+
+    async _findFreezeLinkTarget(token) {
+        const event = await SecurityEvent.findByFreezeToken(token);
+        const account = event && !event.isFreezeTokenExpired() ? await Account.findByPk(event.accountId) : null;
+
+        if (!account) {
+            throw this.createError('This freeze link is invalid or has expired', 404);
+        }
+
+        return { event, account };
+    }
+
     _validateAccountStatus(account) {
         if (!account.smsVerified) {
             throw new Error('Account phone number not verified');
         }
+
+        this._validateAccountNotFrozen(account);
+    }
+
+    _validateAccountNotFrozen(account) {
+        if (account.isFrozen()) {
+            throw this.createError('Account is frozen. Contact Kachingko support to restore access.', 403, {
+                frozenAt: account.frozenAt
+            });
+        }
+    }
+
+    async _validatePinLockout(account) {
+        await account.releaseExpiredPinLock();
+
+        if (account.isPinLocked()) {
+            throw this.createError(
+                'Too many failed PIN attempts. Account is temporarily locked.',
+                423,
+                account.getPinLockStatus()
+            );
+        }
+
+        const retryAfter = account.getPinRetryDelay();
+        if (retryAfter > 0) {
+            throw this.createError(
+                `Please wait ${retryAfter} seconds before trying again`,
+                429,
+                account.getPinLockStatus()
+            );
+        }
+    }
+
+    async _validatePin(account, pin) {
+        if (!(await account.validatePin(pin))) {
+            await account.registerFailedPinAttempt();
+
+            const lockStatus = account.getPinLockStatus();
+            if (lockStatus.locked) {
+                this.logWarn('Account PIN locked after repeated failures', {
+                    phoneNumber: account.phoneNumber,
+                    lockedUntil: lockStatus.lockedUntil
+                });
+                throw this.createError(
+                    'Too many failed PIN attempts. Account is temporarily locked.',
+                    423,
+                    lockStatus
+                );
+            }
+
+            throw this.createError('Invalid PIN', 401, lockStatus);
+        }
     }
 
-    _validatePin(account, pin) {
-        if (!account.validatePin(pin)) {
-            throw new Error('Invalid PIN');
+    _createEmailVerificationLink(account) {
+        const token = this.jwtService.generateEmailVerificationToken({
+            accountId: account.id,
+            email: account.email
+        });
+
+        return {
+            url: `${this.publicBaseUrl}/api/accounts/verify-email/${token}`,
+            expiresInMinutes: JwtService.EMAIL_VERIFICATION_TOKEN_MINUTES
+        };
+    }
+
+    _validateEmailVerificationToken(token) {
+        try {
+            return this.jwtService.verifyEmailVerificationToken(token);
+        } catch (error) {
+            throw this.createError('Invalid or expired verification link. Please request a new verification email.', 400);
         }
     }
 
@@ -266,14 +1142,6 @@ class AccountController extends BaseController {
         }
     }
 
-    _validateEmailRateLimit(account) {
-        if (!account.canSendEmailVerification()) {
-            const timeLeft = 60000 - (new Date() - account.lastEmailVerificationSent);
-            const secondsLeft = Math.ceil(timeLeft / 1000);
-            throw new Error(`Please wait ${secondsLeft} seconds before requesting another email verification code`);
-        }
-    }
-
     async _updateEmailVerificationTimestamp(account) {
         account.lastEmailVerificationSent = new Date();
         await account.save();
@@ -287,12 +1155,20 @@ class AccountController extends BaseController {
 
     async _sendWelcomeEmailSafely(account) {
         try {
-            await this.emailService.sendWelcomeEmail(account.email, account.phoneNumber);
+            await this.emailService.sendWelcomeEmail(account.email, account.phoneNumber, { locale: account.locale });
         } catch (welcomeError) {
             this.logError('Failed to send welcome email', welcomeError);
         }
     }
 
+    async _notifySecurityEventSafely(account, type, details = {}) {
+        try {
+            await this.securityNotifications.notify(account, type, details);
+        } catch (notifyError) {
+            this.logError(`Failed to send ${type} security notification`, notifyError);
+        }
+    }
+
     async _handleFailedEmailVerification(account, verification) {
         account.emailVerificationAttempts += 1;
         await account.save();
@@ -324,7 +1200,7 @@ class AccountController extends BaseController {
         account.emailChangeVerificationStep = 'email_pending';
         await account.save();
 
-        await this.emailService.sendEmailOTP(account.pendingEmail);
+        await this.emailService.sendEmailOTP(account.pendingEmail, { purpose: 'email_change', locale: account.locale });
         account.lastEmailVerificationSent = new Date();
         await account.save();
     }
@@ -342,12 +1218,14 @@ class AccountController extends BaseController {
     }
 
     async _completeEmailChange(account) {
-        account.email = account.pendingEmail;
-        account.pendingEmail = null;
-        account.emailVerified = true;
-        account.emailChangeVerificationStep = 'none';
-        account.emailVerificationAttempts = 0;
-        await account.save();
+        const oldEmail = account.emailVerified ? account.email : null;
+
+        await account.completeEmailChange();
+
+        await this._notifySecurityEventSafely(account, 'email_changed', {
+            oldEmail,
+            newEmail: account.email
+        });
     }
 }
 
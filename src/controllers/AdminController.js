@@ -0,0 +1,64 @@
+const BaseController = require('./BaseController');
+const BrevoService = require('../utils/BrevoService');
+
+class AdminController extends BaseController {
+    constructor() {
+        super();
+        this.emailService = new BrevoService();
+        this.emailOutbox = this.emailService.outbox;
+        this.emailSuppressions = this.emailService.suppressions;
+    }
+
+    async listEmailOutbox({ status, limit } = {}) {
+        try {
+            const messages = await this.emailOutbox.list({ status, limit });
+            return { messages, count: messages.length };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to list outbox emails');
+        }
+    }
+
+    async replayEmail(id) {
+        try {
+            if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id || '')) {
+                throw this.createError('Invalid outbox email ID', 400);
+            }
+
+            return await this.emailOutbox.replay(id);
+        } catch (error) {
+            throw this.handleError(error, 'Failed to replay outbox email');
+        }
+    }
+
+    async replayDeadEmails() {
+        try {
+            const replayed = await this.emailOutbox.replayDead();
+            return { replayed };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to replay dead-lettered emails');
+        }
+    }
+
+    async listEmailSuppressions({ limit } = {}) {
+        try {
+            const suppressions = await this.emailSuppressions.list({ limit });
+            return { suppressions, count: suppressions.length };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to list email suppressions');
+        }
+    }
+
+    async removeEmailSuppression(email) {
+        try {
+            if (!email || typeof email !== 'string') {
+                throw this.createError('Email address is required', 400);
+            }
+
+            return await this.emailSuppressions.remove(email);
+        } catch (error) {
+            throw this.handleError(error, 'Failed to remove email suppression');
+        }
+    }
+}
+
+module.exports = AdminController;
@@ -8,7 +8,26 @@ class BaseController {
     handleError(error, message) {
         const errorMessage = this._formatErrorMessage(message, error);
         this.logError(errorMessage, error);
-        return new Error(error.message || message);
+
+        const handledError = new Error(error.message || message);
+        if (error.statusCode) {
+            handledError.statusCode = error.statusCode;
+        }
+        if (error.details) {
+            handledError.details = error.details;
+        }
+        return handledError;
+    }
+
+    createError(message, statusCode = null, details = null) {
+        const error = new Error(message);
+        if (statusCode) {
+            error.statusCode = statusCode;
+        }
+        if (details) {
+            error.details = details;
+        }
+        return error;
     }
 
     logInfo(message, data = null) {
@@ -0,0 +1,88 @@
+const BaseController = require('./BaseController');
+const MessageTrackingService = require('../utils/MessageTrackingService');
+const EmailSuppressionService = require('../utils/EmailSuppressionService');
+
+class WebhookController extends BaseController {
+    constructor() {
+        super();
+        this.messageTracker = new MessageTrackingService();
+        this.emailSuppressions = new EmailSuppressionService({ messageTracker: this.messageTracker });
+    }
+
+    async handleDeliveryReport(provider, payload) {
+        try {
+            if (!MessageTrackingService.REPORT_PARSERS[provider]) {
+                throw this.createError(`Unsupported delivery report provider: ${provider}`, 404);
+            }
+
+            const reports = this._toBatch(payload);
+            const { results, rejected } = await this._applyEach(reports, report =>
+                this.messageTracker.applyDeliveryReport(provider, report)
+            );
+
+            return {
+                received: reports.length,
+                matched: results.filter(result => result.matched).length,
+                updated: results.filter(result => result.updated).length,
+                rejected
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to process delivery report');
+        }
+    }
+
+    async handleEmailEvents(provider, payload) {
+        try {
+            if (!EmailSuppressionService.EVENT_PARSERS[provider]) {
+                throw this.createError(`Unsupported email event provider: ${provider}`, 404);
+            }
+
+            const events = this._toBatch(payload);
+            const { results, rejected } = await this._applyEach(events, event =>
+                this.emailSuppressions.applyProviderEvent(provider, event)
+            );
+
+            return {
+                received: events.length,
+                suppressed: results.filter(result => result.suppressed).length,
+                ignored: results.filter(result => result.ignored).length,
+                trackingUpdated: results.filter(result => result.trackingUpdated).length,
+                rejected
+            };
+        } catch (error) {
+            throw this.handleError(error, 'Failed to process email events');
+        }
+    }
+
+    _toBatch(payload) {
+        const items = Array.isArray(payload) ? payload : [payload];
+
+        if (items.length === 0 || items.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+            throw this.createError('Webhook body must be an object or an array of objects', 400);
+        }
+
+        return items;
+    }
+
+    async _applyEach(items, apply) {
+        const results = [];
+        let rejected = 0;
+
+        for (const [index, item] of items.entries()) {
+            try {
+                results.push(await apply(item));
+            } catch (error) {
+                if (!error.statusCode || error.statusCode >= 500) {
+                    throw error;
+                }
+
+                rejected += 1;
+                this.logWarn(`Rejected webhook item ${index + 1} of ${items.length}: ${error.message}`);
+            }
+        }
+
+        return { results, rejected };
+    }
+}
+
+module.exports = WebhookController;
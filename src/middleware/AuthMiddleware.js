@@ -1,5 +1,7 @@
 const JwtService = require('../utils/JwtService');
 const Account = require('../models/Account');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
 const logger = require('../utils/Logger');
 
 class AuthMiddleware {
@@ -18,10 +20,14 @@ class AuthMiddleware {
         try {
             const token = this._extractToken(req.headers.authorization);
             const decoded = this._verifyToken(token);
+            await this._validateTokenNotRevoked(decoded);
             const account = await this._findAccount(decoded.phoneNumber);
 
             this._validateAccount(account);
+            this._validateTokenNotInvalidated(decoded, account);
+            await this._validateSession(decoded, req);
             this._attachUserToRequest(req, account);
+            this._attachTokenToRequest(req, decoded);
 
             this._logAuthSuccess(account.phoneNumber);
             next();
@@ -71,10 +77,12 @@ class AuthMiddleware {
             const token = this._extractToken(authHeader);
             const decoded = this._verifyToken(token);
 
-            Account.findByPhoneNumber(decoded.phoneNumber)
+            RevokedToken.isRevoked(decoded.jti)
+                .then(isRevoked => isRevoked ? null : Account.findByPhoneNumber(decoded.phoneNumber))
                 .then(account => {
-                    if (account && account.smsVerified) {
+                    if (account && account.smsVerified && !account.isFrozen() && !account.isTokenIssuedBeforeInvalidation(decoded.iat)) {
                         this._attachUserToRequest(req, account);
+                        this._attachTokenToRequest(req, decoded);
                     } else {
                         req.user = null;
                     }
@@ -117,6 +125,35 @@ class AuthMiddleware {
         if (!account.smsVerified) {
             throw new AuthenticationError('Account phone number not verified');
         }
+
+        if (account.isFrozen()) {
+            throw new AuthorizationError('Account is frozen. Contact Kachingko support to restore access.');
+        }
+    }
+
+    async _validateTokenNotRevoked(decoded) {
+        if (await RevokedToken.isRevoked(decoded.jti)) {
+            throw new AuthenticationError('Token has been revoked. Please log in again.');
+        }
+    }
+
+    _validateTokenNotInvalidated(decoded, account) {
+        if (account.isTokenIssuedBeforeInvalidation(decoded.iat)) {
+            throw new AuthenticationError('Session is no longer valid. Please log in again.');
+        }
+    }
+
+    async _validateSession(decoded, req) {
+        if (!decoded.sessionId) {
+            return;
+        }
+
+        const session = await Session.findByPk(decoded.sessionId);
+        if (!session || !session.isActive()) {
+            throw new AuthenticationError('Session has been revoked. Please log in again.');
+        }
+
+        await session.recordActivity(req.ip);
     }
 
     _validateUserExists(req) {
@@ -154,6 +191,15 @@ class AuthMiddleware {
         };
     }
 
+    _attachTokenToRequest(req, decoded) {
+        req.auth = {
+            jti: decoded.jti,
+            sessionId: decoded.sessionId || null,
+            issuedAt: new Date(decoded.iat * 1000),
+            expiresAt: new Date(decoded.exp * 1000)
+        };
+    }
+
     _logAuthSuccess(phoneNumber) {
         logger.info(`User authenticated successfully: ${phoneNumber}`);
     }
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const logger = require('../utils/Logger');
 
 class DeduplicationMiddleware {
@@ -50,7 +51,7 @@ class DeduplicationMiddleware {
             throw new Error('Key generator must return a non-empty string');
         }
 
-        return key;
+        return crypto.createHash('sha256').update(key).digest('hex');
     }
 
     _isDuplicateRequest(key) {
@@ -1,4 +1,5 @@
 const logger = require('../utils/Logger');
+const SensitiveData = require('../utils/SensitiveData');
 
 class ErrorMiddleware {
     static handle(err, req, res, next) {
@@ -24,29 +25,16 @@ class ErrorMiddleware {
             stack: err.stack,
             url: req.url,
             method: req.method,
-            body: req.body,
+            body: SensitiveData.redactFields(req.body),
             params: req.params,
             query: req.query,
-            headers: ErrorMiddleware._sanitizeHeaders(req.headers),
+            headers: SensitiveData.redactHeaders(req.headers),
             userAgent: req.get('User-Agent'),
             ip: req.ip || req.connection.remoteAddress,
             timestamp: new Date().toISOString()
         };
     }
 
-    static _sanitizeHeaders(headers) {
-        const sensitiveHeaders = ['authorization', 'cookie', 'x-api-key'];
-        const sanitized = { ...headers };
-        
-        sensitiveHeaders.forEach(header => {
-            if (sanitized[header]) {
-                sanitized[header] = '[REDACTED]';
-            }
-        });
-        
-        return sanitized;
-    }
-
     static _determineErrorResponse(err) {
         const errorMappings = [
             {
@@ -1,4 +1,7 @@
 const logger = require('../utils/Logger');
+const OtpGenerator = require('../utils/OtpGenerator');
+const OtpDeliveryService = require('../utils/OtpDeliveryService');
+const EmailTemplateEngine = require('../utils/EmailTemplateEngine');
 
 class ValidationMiddleware {
     static validatePhoneNumber(req, res, next) {
@@ -23,8 +26,8 @@ class ValidationMiddleware {
 
     static validateCreateAccount(req, res, next) {
         try {
-            const { phoneNumber, pin } = req.body;
-            const requiredFields = ['phoneNumber', 'pin'];
+            const { phoneNumber, pin, verificationTicket } = req.body;
+            const requiredFields = ['phoneNumber', 'pin', 'verificationTicket'];
 
             const missingFields = ValidationMiddleware._findMissingFields(req.body, requiredFields);
             if (missingFields.length > 0) {
@@ -45,6 +48,12 @@ class ValidationMiddleware {
                 );
             }
 
+            if (typeof verificationTicket !== 'string') {
+                return ValidationMiddleware._sendValidationError(res,
+                    'Verification ticket must be a string'
+                );
+            }
+
             next();
         } catch (error) {
             ValidationMiddleware._handleValidationError(res, error, 'Account creation validation');
@@ -81,6 +90,97 @@ class ValidationMiddleware {
         }
     }
 
+    static validatePinReset(req, res, next) {
+        try {
+            const { resetToken, pin } = req.body;
+
+            const missingFields = ValidationMiddleware._findMissingFields(req.body, ['resetToken', 'pin']);
+            if (missingFields.length > 0) {
+                return ValidationMiddleware._sendValidationError(res,
+                    `Missing required fields: ${missingFields.join(', ')}`
+                );
+            }
+
+            if (typeof resetToken !== 'string') {
+                return ValidationMiddleware._sendValidationError(res, 'Invalid reset token');
+            }
+
+            if (!ValidationMiddleware._isValidPin(pin)) {
+                return ValidationMiddleware._sendValidationError(res,
+                    'PIN must be exactly 6 digits'
+                );
+            }
+
+            next();
+        } catch (error) {
+            ValidationMiddleware._handleValidationError(res, error, 'PIN reset validation');
+        }
+    }
+
+    static validateDeviceChallenge(req, res, next) {
+        try {
+            const { challengeToken, code } = req.body;
+
+            const missingFields = ValidationMiddleware._findMissingFields(req.body, ['challengeToken', 'code']);
+            if (missingFields.length > 0) {
+                return ValidationMiddleware._sendValidationError(res,
+                    `Missing required fields: ${missingFields.join(', ')}`
+                );
+            }
+
+            if (typeof challengeToken !== 'string') {
+                return ValidationMiddleware._sendValidationError(res, 'Invalid challenge token');
+            }
+
+            if (!ValidationMiddleware._isValidVerificationCode(code)) {
+                return ValidationMiddleware._sendValidationError(res,
+                    'Invalid verification code format'
+                );
+            }
+
+            next();
+        } catch (error) {
+            ValidationMiddleware._handleValidationError(res, error, 'Device challenge validation');
+        }
+    }
+
+    static validateRefreshToken(req, res, next) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!ValidationMiddleware._isFieldPresent(refreshToken) || typeof refreshToken !== 'string') {
+                return ValidationMiddleware._sendValidationError(res, 'Refresh token is required');
+            }
+
+            next();
+        } catch (error) {
+            ValidationMiddleware._handleValidationError(res, error, 'Refresh token validation');
+        }
+    }
+
+    static validateChangePin(req, res, next) {
+        try {
+            const { currentPin, newPin } = req.body;
+
+            const missingFields = ValidationMiddleware._findMissingFields(req.body, ['currentPin', 'newPin']);
+            if (missingFields.length > 0) {
+                return ValidationMiddleware._sendValidationError(res,
+                    `Missing required fields: ${missingFields.join(', ')}`
+                );
+            }
+
+            if (!ValidationMiddleware._isValidPin(currentPin) || !ValidationMiddleware._isValidPin(newPin)) {
+                return ValidationMiddleware._sendValidationError(res,
+                    'PIN must be exactly 6 digits'
+                );
+            }
+
+            next();
+        } catch (error) {
+            ValidationMiddleware._handleValidationError(res, error, 'Change PIN validation');
+        }
+    }
+
     static validateAddEmail(req, res, next) {
         try {
             const { email } = req.body;
@@ -119,6 +219,42 @@ class ValidationMiddleware {
         }
     }
 
+    static validateDeliveryChannel(req, res, next) {
+        try {
+            const { channel } = req.body;
+
+            if (channel !== undefined && !OtpDeliveryService.CHANNELS.includes(channel)) {
+                return ValidationMiddleware._sendValidationError(res,
+                    `Invalid channel. Must be one of: ${OtpDeliveryService.CHANNELS.join(', ')}`
+                );
+            }
+
+            next();
+        } catch (error) {
+            ValidationMiddleware._handleValidationError(res, error, 'Delivery channel validation');
+        }
+    }
+
+    static validateLocale(req, res, next) {
+        try {
+            const { locale } = req.body;
+
+            if (!ValidationMiddleware._isFieldPresent(locale)) {
+                return ValidationMiddleware._sendValidationError(res, 'Locale is required');
+            }
+
+            if (!EmailTemplateEngine.LOCALES.includes(locale)) {
+                return ValidationMiddleware._sendValidationError(res,
+                    `Invalid locale. Must be one of: ${EmailTemplateEngine.LOCALES.join(', ')}`
+                );
+            }
+
+            next();
+        } catch (error) {
+            ValidationMiddleware._handleValidationError(res, error, 'Locale validation');
+        }
+    }
+
     static validateRequestData(requiredFields) {
         return (req, res, next) => {
             try {
@@ -161,9 +297,11 @@ class ValidationMiddleware {
                 req.body.email = ValidationMiddleware._sanitizeEmail(req.body.email);
             }
 
-            if (req.body.pin) {
-                req.body.pin = ValidationMiddleware._sanitizePin(req.body.pin);
-            }
+            ['pin', 'currentPin', 'newPin'].forEach(field => {
+                if (req.body[field]) {
+                    req.body[field] = ValidationMiddleware._sanitizePin(req.body[field]);
+                }
+            });
 
             if (req.body.code) {
                 req.body.code = ValidationMiddleware._sanitizeCode(req.body.code);
@@ -203,8 +341,7 @@ class ValidationMiddleware {
 
     static _isValidVerificationCode(code) {
         if (!code) return false;
-        const codeStr = code.toString().trim();
-        return codeStr.length >= 4 && codeStr.length <= 8 && /^\d+$/.test(codeStr);
+        return OtpGenerator.isValidFormat(code);
     }
 
     static _sanitizePhoneNumber(phoneNumber) {
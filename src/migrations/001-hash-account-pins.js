@@ -0,0 +1,24 @@
+const PinHasher = require('../utils/PinHasher');
+
+module.exports = {
+    name: '001-hash-account-pins',
+
+    async up({ sequelize, transaction }) {
+        const [accounts] = await sequelize.query(
+            'SELECT id, pin FROM accounts',
+            { transaction }
+        );
+
+        for (const account of accounts) {
+            if (PinHasher.isHash(account.pin)) {
+                continue;
+            }
+
+            const hashedPin = await PinHasher.hash(String(account.pin).trim());
+            await sequelize.query(
+                'UPDATE accounts SET pin = :pin WHERE id = :id',
+                { replacements: { pin: hashedPin, id: account.id }, transaction }
+            );
+        }
+    }
+};
@@ -0,0 +1,24 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '002-add-pin-lockout-columns',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'failedPinAttempts', {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        });
+        await addColumnIfMissing('accounts', 'lastFailedPinAttemptAt', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+        await addColumnIfMissing('accounts', 'pinLockedUntil', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+        await addColumnIfMissing('accounts', 'pinLockoutCount', {
+            type: DataTypes.INTEGER,
+            defaultValue: 0
+        });
+    }
+};
@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '003-add-pin-reset-columns',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'pinResetTokenId', {
+            type: DataTypes.STRING,
+            allowNull: true
+        });
+        await addColumnIfMissing('accounts', 'tokensValidAfter', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+    }
+};
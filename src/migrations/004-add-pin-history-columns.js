@@ -0,0 +1,21 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '004-add-pin-history-columns',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'pinHistory', {
+            type: DataTypes.JSON,
+            allowNull: false,
+            defaultValue: []
+        });
+        await addColumnIfMissing('accounts', 'pinChangedAt', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+        await addColumnIfMissing('accounts', 'birthDate', {
+            type: DataTypes.DATEONLY,
+            allowNull: true
+        });
+    }
+};
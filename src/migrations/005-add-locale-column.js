@@ -0,0 +1,13 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '005-add-locale-column',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'locale', {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'en'
+        });
+    }
+};
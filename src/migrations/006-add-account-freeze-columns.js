@@ -0,0 +1,16 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '006-add-account-freeze-columns',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'frozenAt', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+        await addColumnIfMissing('accounts', 'frozenReason', {
+            type: DataTypes.STRING,
+            allowNull: true
+        });
+    }
+};
@@ -0,0 +1,17 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '007-add-email-delivery-columns',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'emailDeliveryStatus', {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'deliverable'
+        });
+        await addColumnIfMissing('accounts', 'emailDeliveryIssueAt', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+    }
+};
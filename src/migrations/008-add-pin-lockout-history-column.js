@@ -0,0 +1,12 @@
+const { DataTypes } = require('sequelize');
+
+module.exports = {
+    name: '008-add-pin-lockout-history-column',
+
+    async up({ addColumnIfMissing }) {
+        await addColumnIfMissing('accounts', 'lastPinLockoutAt', {
+            type: DataTypes.DATE,
+            allowNull: true
+        });
+    }
+};
@@ -0,0 +1,10 @@
+module.exports = [
+    require('./001-hash-account-pins'),
+    require('./002-add-pin-lockout-columns'),
+    require('./003-add-pin-reset-columns'),
+    require('./004-add-pin-history-columns'),
+    require('./005-add-locale-column'),
+    require('./006-add-account-freeze-columns'),
+    require('./007-add-email-delivery-columns'),
+    require('./008-add-pin-lockout-history-column')
+];
@@ -1,6 +1,20 @@
+const crypto = require('crypto');
 const { DataTypes, Model } = require('sequelize');
+const PinHasher = require('../utils/PinHasher');
+const PinPolicy = require('../utils/PinPolicy');
+const EmailTemplateEngine = require('../utils/EmailTemplateEngine');
 
 class Account extends Model {
+    static PIN_LOCKOUT_POLICY = {
+        maxAttempts: 5,
+        backoffAfterAttempts: 3,
+        backoffBaseSeconds: 30,
+        lockDurationMinutes: 30,
+        maxLockDurationMinutes: 24 * 60,
+        lockoutDecayDays: 30
+    };
+    static EMAIL_DELIVERY_STATUSES = ['deliverable', 'bounced', 'complained'];
+
     static init(sequelize) {
         return super.init({
             phoneNumber: {
@@ -37,10 +51,64 @@ class Account extends Model {
                 allowNull: false,
                 validate: {
                     notEmpty: true,
-                    len: [6, 6],
-                    isNumeric: true
+                    isPinHash(value) {
+                        if (!PinHasher.isHash(value)) {
+                            throw new Error('PIN must be stored as a hash');
+                        }
+                    }
+                }
+            },
+            pinHistory: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: []
+            },
+            pinChangedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            failedPinAttempts: {
+                type: DataTypes.INTEGER,
+                defaultValue: 0,
+                validate: {
+                    min: 0
+                }
+            },
+            lastFailedPinAttemptAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            pinLockedUntil: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            pinLockoutCount: {
+                type: DataTypes.INTEGER,
+                defaultValue: 0,
+                validate: {
+                    min: 0
                 }
             },
+            lastPinLockoutAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            pinResetTokenId: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            tokensValidAfter: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            frozenAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            frozenReason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
             email: {
                 type: DataTypes.STRING,
                 allowNull: true,
@@ -70,6 +138,18 @@ class Account extends Model {
                 type: DataTypes.DATE,
                 allowNull: true
             },
+            emailDeliveryStatus: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: 'deliverable',
+                validate: {
+                    isIn: [Account.EMAIL_DELIVERY_STATUSES]
+                }
+            },
+            emailDeliveryIssueAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
             emailVerificationAttempts: {
                 type: DataTypes.INTEGER,
                 defaultValue: 0,
@@ -92,6 +172,18 @@ class Account extends Model {
             kycSubmittedAt: {
                 type: DataTypes.DATE,
                 allowNull: true
+            },
+            birthDate: {
+                type: DataTypes.DATEONLY,
+                allowNull: true
+            },
+            locale: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: EmailTemplateEngine.DEFAULT_LOCALE,
+                validate: {
+                    isIn: [EmailTemplateEngine.LOCALES]
+                }
             }
         }, {
             sequelize,
@@ -213,14 +305,25 @@ class Account extends Model {
         return await this.findOne({ where: { email: email.toLowerCase().trim() } });
     }
 
-    static async createAccount(accountData) {
+    static _isValidPinFormat(pin) {
+        return typeof pin === 'string' && /^\d{6}$/.test(pin);
+    }
+
+    static async createAccount(accountData, options = {}) {
+        if (!Account._isValidPinFormat(accountData.pin)) {
+            throw new Error('PIN must be exactly 6 digits');
+        }
+
+        const hashedPin = await PinHasher.hash(accountData.pin);
         const normalizedData = {
             ...accountData,
             phoneNumber: Account.normalizePhoneNumber(accountData.phoneNumber),
-            email: accountData.email ? accountData.email.toLowerCase().trim() : null
+            email: accountData.email ? accountData.email.toLowerCase().trim() : null,
+            pin: hashedPin,
+            pinHistory: [hashedPin]
         };
 
-        return await this.create(normalizedData);
+        return await this.create(normalizedData, options);
     }
 
     static async findActiveAccounts() {
@@ -258,20 +361,190 @@ class Account extends Model {
         };
     }
 
-    validatePin(inputPin) {
+    async validatePin(inputPin) {
         if (!inputPin || typeof inputPin !== 'string') return false;
-        return this.pin === inputPin.trim();
+        return await PinHasher.verify(inputPin.trim(), this.pin);
     }
 
     async updatePin(newPin) {
-        if (!newPin || typeof newPin !== 'string' || newPin.length !== 6 || !/^\d{6}$/.test(newPin)) {
+        await this._applyNewPin(newPin);
+        return await this.save();
+    }
+
+    async isRecentPin(inputPin) {
+        for (const previousHash of this._getPinHistory()) {
+            if (await PinHasher.verify(inputPin, previousHash)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    getBirthYear() {
+        return this.birthDate ? new Date(this.birthDate).getFullYear() : null;
+    }
+
+    _getPinHistory() {
+        const history = Array.isArray(this.pinHistory) ? this.pinHistory : [];
+        return history.length > 0 ? history : [this.pin].filter(Boolean);
+    }
+
+    async _applyNewPin(newPin) {
+        if (!Account._isValidPinFormat(newPin)) {
             throw new Error('PIN must be exactly 6 digits');
         }
 
-        this.pin = newPin;
+        const policy = PinPolicy.validate(newPin, { birthYear: this.getBirthYear() });
+        if (!policy.valid) {
+            throw new Error(policy.reason);
+        }
+
+        if (await this.isRecentPin(newPin)) {
+            throw new Error(`PIN cannot match any of your last ${PinPolicy.HISTORY_SIZE} PINs`);
+        }
+
+        const hashedPin = await PinHasher.hash(newPin);
+        this.pinHistory = [hashedPin, ...this._getPinHistory()].slice(0, PinPolicy.HISTORY_SIZE);
+        this.pin = hashedPin;
+        this.pinChangedAt = new Date();
+    }
+
+    isPinLocked() {
+        return !!this.pinLockedUntil && new Date(this.pinLockedUntil) > new Date();
+    }
+
+    getPinRetryDelay() {
+        const { backoffAfterAttempts, backoffBaseSeconds } = Account.PIN_LOCKOUT_POLICY;
+        if (!this.lastFailedPinAttemptAt || this.failedPinAttempts < backoffAfterAttempts) return 0;
+
+        const delaySeconds = backoffBaseSeconds * Math.pow(2, this.failedPinAttempts - backoffAfterAttempts);
+        const elapsedSeconds = (new Date() - new Date(this.lastFailedPinAttemptAt)) / 1000;
+
+        return Math.max(0, Math.ceil(delaySeconds - elapsedSeconds));
+    }
+
+    getPinLockStatus() {
+        const locked = this.isPinLocked();
+        const lockedUntil = locked ? new Date(this.pinLockedUntil) : null;
+
+        return {
+            locked,
+            lockedUntil: lockedUntil ? lockedUntil.toISOString() : null,
+            retryAfter: locked
+                ? Math.ceil((lockedUntil - new Date()) / 1000)
+                : this.getPinRetryDelay(),
+            attemptsRemaining: locked
+                ? 0
+                : Math.max(0, Account.PIN_LOCKOUT_POLICY.maxAttempts - this.failedPinAttempts)
+        };
+    }
+
+    async releaseExpiredPinLock() {
+        if (!this.pinLockedUntil || this.isPinLocked()) {
+            return this;
+        }
+
+        this.failedPinAttempts = 0;
+        this.pinLockedUntil = null;
+        return await this.save();
+    }
+
+    async registerFailedPinAttempt() {
+        const { maxAttempts, lockDurationMinutes, maxLockDurationMinutes } = Account.PIN_LOCKOUT_POLICY;
+
+        this.failedPinAttempts += 1;
+        this.lastFailedPinAttemptAt = new Date();
+
+        if (this.failedPinAttempts >= maxAttempts) {
+            if (this._isPinLockoutHistoryExpired()) {
+                this.pinLockoutCount = 0;
+            }
+
+            const lockMinutes = Math.min(
+                lockDurationMinutes * Math.pow(2, this.pinLockoutCount),
+                maxLockDurationMinutes
+            );
+
+            this.pinLockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+            this.pinLockoutCount += 1;
+            this.lastPinLockoutAt = new Date();
+        }
+
+        return await this.save();
+    }
+
+    async resetPinAttempts() {
+        this.failedPinAttempts = 0;
+        this.lastFailedPinAttemptAt = null;
+        this.pinLockedUntil = null;
+        return await this.save();
+    }
+
+    _isPinLockoutHistoryExpired() {
+        if (!this.lastPinLockoutAt) return true;
+
+        const decayMs = Account.PIN_LOCKOUT_POLICY.lockoutDecayDays * 24 * 60 * 60 * 1000;
+        return Date.now() - new Date(this.lastPinLockoutAt).getTime() >= decayMs;
+    }
+
+    async startPinReset() {
+        this.pinResetTokenId = crypto.randomUUID();
+        await this.save();
+        return this.pinResetTokenId;
+    }
+
+    async completePinReset(resetTokenId, newPin) {
+        if (!this.pinResetTokenId || this.pinResetTokenId !== resetTokenId) {
+            throw new Error('PIN reset token is invalid or has already been used');
+        }
+
+        await this._applyNewPin(newPin);
+        this.pinResetTokenId = null;
+        this.failedPinAttempts = 0;
+        this.lastFailedPinAttemptAt = null;
+        this.pinLockedUntil = null;
+        this.tokensValidAfter = Account._currentSecond();
+
+        return await this.save();
+    }
+
+    isFrozen() {
+        return !!this.frozenAt;
+    }
+
+    async freeze(reason) {
+        if (!this.frozenAt) {
+            this.frozenAt = new Date();
+            this.frozenReason = reason;
+        }
+
+        this.pinResetTokenId = null;
+        this.pendingEmail = null;
+        this.emailChangeVerificationStep = 'none';
+        this.tokensValidAfter = Account._currentSecond();
         return await this.save();
     }
 
+    async unfreeze() {
+        this.frozenAt = null;
+        this.frozenReason = null;
+        return await this.save();
+    }
+
+    async invalidateSessions() {
+        this.tokensValidAfter = Account._currentSecond();
+        return await this.save();
+    }
+
+    isTokenIssuedBeforeInvalidation(issuedAtSeconds) {
+        if (!this.tokensValidAfter) return false;
+        return issuedAtSeconds * 1000 < new Date(this.tokensValidAfter).getTime();
+    }
+
+    static _currentSecond() {
+        return new Date(Math.floor(Date.now() / 1000) * 1000);
+    }
+
     async markSmsAsVerified() {
         this.smsVerified = true;
         this.verificationAttempts = 0;
@@ -293,7 +566,7 @@ class Account extends Model {
         return await this.save();
     }
 
-    async updateKycStatus(status, submittedAt = null) {
+    async updateKycStatus(status, submittedAt = null, birthDate = null) {
         const validStatuses = ['not_submitted', 'pending', 'approved', 'rejected'];
         if (!validStatuses.includes(status)) {
             throw new Error(`Invalid KYC status. Must be one of: ${validStatuses.join(', ')}`);
@@ -304,6 +577,10 @@ class Account extends Model {
             this.kycSubmittedAt = submittedAt;
         }
 
+        if (birthDate) {
+            this.birthDate = birthDate;
+        }
+
         if (status === 'approved') {
             this.fullyVerified = true;
         }
@@ -311,6 +588,15 @@ class Account extends Model {
         return await this.save();
     }
 
+    async updateLocale(locale) {
+        if (!EmailTemplateEngine.LOCALES.includes(locale)) {
+            throw new Error(`Unsupported locale. Must be one of: ${EmailTemplateEngine.LOCALES.join(', ')}`);
+        }
+
+        this.locale = locale;
+        return await this.save();
+    }
+
     async updateEmail(newEmail) {
         if (!newEmail || typeof newEmail !== 'string') {
             throw new Error('Valid email address is required');
@@ -332,6 +618,7 @@ class Account extends Model {
         this.emailVerified = false;
         this.emailVerificationAttempts = 0;
         this.lastEmailVerificationSent = null;
+        this.resetEmailDeliveryStatus();
 
         return await this.save();
     }
@@ -369,10 +656,36 @@ class Account extends Model {
         this.emailChangeVerificationStep = 'none';
         this.emailVerificationAttempts = 0;
         this.lastEmailVerificationSent = null;
+        this.resetEmailDeliveryStatus();
 
         return await this.save();
     }
 
+    static async updateEmailDeliveryStatus(email, status) {
+        if (!Account.EMAIL_DELIVERY_STATUSES.includes(status)) {
+            throw new Error(`Invalid email delivery status. Must be one of: ${Account.EMAIL_DELIVERY_STATUSES.join(', ')}`);
+        }
+
+        const [updated] = await this.update(
+            {
+                emailDeliveryStatus: status,
+                emailDeliveryIssueAt: status === 'deliverable' ? null : new Date()
+            },
+            { where: { email: email.toLowerCase().trim() } }
+        );
+
+        return updated;
+    }
+
+    resetEmailDeliveryStatus() {
+        this.emailDeliveryStatus = 'deliverable';
+        this.emailDeliveryIssueAt = null;
+    }
+
+    isEmailDeliverable() {
+        return !!this.email && this.emailDeliveryStatus === 'deliverable';
+    }
+
     async incrementVerificationAttempts(type = 'sms') {
         if (type === 'email') {
             this.emailVerificationAttempts += 1;
@@ -408,6 +721,8 @@ class Account extends Model {
             fullyVerified: this.fullyVerified,
             kycStatus: this.kycStatus,
             hasEmail: !!this.email,
+            emailDeliveryStatus: this.email ? this.emailDeliveryStatus : null,
+            emailDeliverable: this.isEmailDeliverable(),
             verificationAttempts: this.verificationAttempts,
             emailVerificationAttempts: this.emailVerificationAttempts,
             canSendSmsVerification: this.canSendVerification(),
@@ -418,7 +733,7 @@ class Account extends Model {
     }
 
     toSafeJSON() {
-        const { pin, ...safeData } = this.toJSON();
+        const { pin, pinHistory, pinResetTokenId, ...safeData } = this.toJSON();
         return {
             ...safeData,
             verificationStatus: this.getVerificationStatus()
@@ -434,6 +749,8 @@ class Account extends Model {
             emailVerified: this.emailVerified,
             fullyVerified: this.fullyVerified,
             kycStatus: this.kycStatus,
+            locale: this.locale,
+            frozen: this.isFrozen(),
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -0,0 +1,203 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+class EmailOutbox extends Model {
+    static STATUSES = ['pending', 'sending', 'sent', 'dead', 'suppressed'];
+    static TYPES = ['otp', 'message'];
+
+    static init(sequelize) {
+        return super.init({
+            id: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                primaryKey: true
+            },
+            recipient: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isEmail: true
+                }
+            },
+            subject: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            html: {
+                type: DataTypes.TEXT,
+                allowNull: false
+            },
+            text: {
+                type: DataTypes.TEXT,
+                allowNull: true
+            },
+            type: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: 'message',
+                validate: {
+                    isIn: [EmailOutbox.TYPES]
+                }
+            },
+            purpose: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: 'pending',
+                validate: {
+                    isIn: [EmailOutbox.STATUSES]
+                }
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            maxAttempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false
+            },
+            nextAttemptAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW
+            },
+            lastError: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            trackingId: {
+                type: DataTypes.UUID,
+                allowNull: true
+            },
+            sentAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'EmailOutbox',
+            tableName: 'email_outbox',
+            timestamps: true,
+            indexes: [
+                {
+                    fields: ['status', 'nextAttemptAt']
+                },
+                {
+                    fields: ['recipient']
+                }
+            ]
+        });
+    }
+
+    static async findDue(limit, now = new Date()) {
+        return await this.findAll({
+            where: {
+                status: 'pending',
+                nextAttemptAt: { [Op.lte]: now }
+            },
+            order: [['nextAttemptAt', 'ASC']],
+            limit
+        });
+    }
+
+    static async findByStatus(status, limit) {
+        return await this.findAll({
+            where: { status },
+            order: [['updatedAt', 'DESC']],
+            limit
+        });
+    }
+
+    static async releaseStale(staleAfterMs) {
+        const cutoff = new Date(Date.now() - staleAfterMs);
+        const [released] = await this.update(
+            { status: 'pending' },
+            { where: { status: 'sending', updatedAt: { [Op.lt]: cutoff } } }
+        );
+        return released;
+    }
+
+    static async cleanupSentOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        return await this.destroy({ where: { status: 'sent', sentAt: { [Op.lt]: cutoff } } });
+    }
+
+    async claim() {
+        const [claimed] = await EmailOutbox.update(
+            { status: 'sending' },
+            { where: { id: this.id, status: 'pending' } }
+        );
+
+        if (claimed === 1) {
+            this.status = 'sending';
+            return true;
+        }
+        return false;
+    }
+
+    async markSent(trackingId = null) {
+        this.status = 'sent';
+        this.attempts += 1;
+        this.sentAt = new Date();
+        this.trackingId = trackingId;
+        this.lastError = null;
+        return await this.save();
+    }
+
+    async markFailed(errorMessage, retryDelayMs) {
+        this.attempts += 1;
+        this.lastError = String(errorMessage || 'Unknown error').substring(0, 255);
+
+        if (this.attempts >= this.maxAttempts) {
+            this.status = 'dead';
+        } else {
+            this.status = 'pending';
+            this.nextAttemptAt = new Date(Date.now() + retryDelayMs);
+        }
+
+        return await this.save();
+    }
+
+    async markSuppressed(errorMessage) {
+        this.status = 'suppressed';
+        this.attempts += 1;
+        this.lastError = String(errorMessage || 'Recipient is suppressed').substring(0, 255);
+        return await this.save();
+    }
+
+    async replay() {
+        if (this.status !== 'dead') {
+            throw new Error(`Only dead-lettered emails can be replayed (status is ${this.status})`);
+        }
+
+        this.status = 'pending';
+        this.attempts = 0;
+        this.nextAttemptAt = new Date();
+        this.lastError = null;
+        return await this.save();
+    }
+
+    toAdminJSON() {
+        return {
+            id: this.id,
+            recipient: this.recipient,
+            subject: this.subject,
+            type: this.type,
+            purpose: this.purpose,
+            status: this.status,
+            attempts: this.attempts,
+            maxAttempts: this.maxAttempts,
+            lastError: this.lastError,
+            nextAttemptAt: this.nextAttemptAt,
+            sentAt: this.sentAt,
+            trackingId: this.trackingId,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = EmailOutbox;
@@ -0,0 +1,119 @@
+const { DataTypes, Model } = require('sequelize');
+
+class EmailSuppression extends Model {
+    static REASONS = ['hard_bounce', 'invalid_email', 'blocked', 'complaint'];
+
+    static init(sequelize) {
+        return super.init({
+            email: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                unique: true,
+                validate: {
+                    isEmail: true
+                }
+            },
+            reason: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [EmailSuppression.REASONS]
+                }
+            },
+            provider: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            detail: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            providerMessageId: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            eventCount: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            lastEventAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW
+            }
+        }, {
+            sequelize,
+            modelName: 'EmailSuppression',
+            tableName: 'email_suppressions',
+            timestamps: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['email']
+                },
+                {
+                    fields: ['lastEventAt']
+                }
+            ]
+        });
+    }
+
+    static normalizeEmail(email) {
+        return String(email || '').toLowerCase().trim();
+    }
+
+    static async findByEmail(email) {
+        return await this.findOne({ where: { email: EmailSuppression.normalizeEmail(email) } });
+    }
+
+    static async isSuppressed(email) {
+        return (await this.count({ where: { email: EmailSuppression.normalizeEmail(email) } })) > 0;
+    }
+
+    static async suppress(email, { reason, provider, detail = null, providerMessageId = null }) {
+        const normalizedEmail = EmailSuppression.normalizeEmail(email);
+        const fields = {
+            reason,
+            provider,
+            detail: detail ? String(detail).substring(0, 255) : null,
+            providerMessageId: providerMessageId ? String(providerMessageId) : null,
+            lastEventAt: new Date()
+        };
+
+        const [entry, created] = await this.findOrCreate({
+            where: { email: normalizedEmail },
+            defaults: fields
+        });
+
+        if (!created) {
+            Object.assign(entry, fields);
+            entry.eventCount += 1;
+            await entry.save();
+        }
+
+        return entry;
+    }
+
+    static async findRecent(limit) {
+        return await this.findAll({
+            order: [['lastEventAt', 'DESC']],
+            limit
+        });
+    }
+
+    toAdminJSON() {
+        return {
+            email: this.email,
+            reason: this.reason,
+            provider: this.provider,
+            detail: this.detail,
+            providerMessageId: this.providerMessageId,
+            eventCount: this.eventCount,
+            lastEventAt: this.lastEventAt,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = EmailSuppression;
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { DataTypes, Model, Op } = require('sequelize');
+
+class OtpCode extends Model {
+    static CHANNELS = ['sms', 'email'];
+    static DEFAULT_TTL_MINUTES = 5;
+    static DEFAULT_MAX_ATTEMPTS = 3;
+    static EPHEMERAL_HASH_SECRET = crypto.randomBytes(32).toString('hex');
+    static PURPOSES = {
+        signup: { ttlMinutes: 5, maxAttempts: 5, cooldownSeconds: 60 },
+        login_stepup: { ttlMinutes: 5, maxAttempts: 3, cooldownSeconds: 60, channels: ['sms', 'voice'] },
+        pin_reset: { ttlMinutes: 5, maxAttempts: 3, cooldownSeconds: 120 },
+        account_unlock: { ttlMinutes: 5, maxAttempts: 3, cooldownSeconds: 120 },
+        email_verification: { ttlMinutes: 5, maxAttempts: 5, cooldownSeconds: 60 },
+        email_change: { ttlMinutes: 5, maxAttempts: 3, cooldownSeconds: 60, channels: ['sms', 'voice'] },
+        phone_change: { ttlMinutes: 5, maxAttempts: 3, cooldownSeconds: 60 },
+        transaction: { ttlMinutes: 5, maxAttempts: 3, cooldownSeconds: 30 }
+    };
+
+    static init(sequelize) {
+        return super.init({
+            channel: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [OtpCode.CHANNELS]
+                }
+            },
+            recipient: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            purpose: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [Object.keys(OtpCode.PURPOSES)]
+                }
+            },
+            codeHash: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            attempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            maxAttempts: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                defaultValue: OtpCode.DEFAULT_MAX_ATTEMPTS
+            }
+        }, {
+            sequelize,
+            modelName: 'OtpCode',
+            tableName: 'otp_codes',
+            timestamps: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['channel', 'recipient', 'purpose']
+                },
+                {
+                    fields: ['expiresAt']
+                }
+            ]
+        });
+    }
+
+    static hashCode(channel, recipient, purpose, code) {
+        const secret = process.env.OTP_HASH_SECRET || process.env.JWT_SECRET || OtpCode.EPHEMERAL_HASH_SECRET;
+        return crypto.createHmac('sha256', secret)
+            .update(`${channel}|${recipient}|${purpose}|${code.toString().trim()}`)
+            .digest('hex');
+    }
+
+    static getPurposePolicy(purpose) {
+        const policy = OtpCode.PURPOSES[purpose];
+        if (!policy) {
+            throw new Error(`Unknown OTP purpose: ${purpose}`);
+        }
+        return policy;
+    }
+
+    static async findActive(channel, recipient, purpose) {
+        return await this.findOne({ where: { channel, recipient, purpose } });
+    }
+
+    static async cleanupExpired(channel = null) {
+        const where = { expiresAt: { [Op.lt]: new Date() } };
+        if (channel) {
+            where.channel = channel;
+        }
+        return await this.destroy({ where });
+    }
+
+    isExpired() {
+        return new Date(this.expiresAt) <= new Date();
+    }
+
+    getCooldownRemaining(cooldownSeconds) {
+        const elapsedMs = Date.now() - new Date(this.createdAt).getTime();
+        return Math.max(0, Math.ceil((cooldownSeconds * 1000 - elapsedMs) / 1000));
+    }
+
+    matches(code) {
+        const expected = Buffer.from(this.codeHash, 'hex');
+        const actual = Buffer.from(OtpCode.hashCode(this.channel, this.recipient, this.purpose, code), 'hex');
+        return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    }
+}
+
+module.exports = OtpCode;
@@ -0,0 +1,95 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+class OtpSendLog extends Model {
+    static STATUSES = ['sent', 'blocked'];
+
+    static init(sequelize) {
+        return super.init({
+            phoneNumber: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            phonePrefix: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            ipAddress: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            purpose: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            channel: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [OtpSendLog.STATUSES]
+                }
+            },
+            blockReason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'OtpSendLog',
+            tableName: 'otp_send_logs',
+            timestamps: true,
+            updatedAt: false,
+            indexes: [
+                {
+                    fields: ['phoneNumber', 'createdAt']
+                },
+                {
+                    fields: ['ipAddress', 'createdAt']
+                },
+                {
+                    fields: ['phonePrefix', 'createdAt']
+                },
+                {
+                    fields: ['status', 'createdAt']
+                }
+            ]
+        });
+    }
+
+    static getPrefix(phoneNumber, digits) {
+        return phoneNumber.replace(/\D/g, '').substring(0, digits);
+    }
+
+    static async countSentSince(field, value, since, { transaction } = {}) {
+        return await this.count({
+            where: {
+                [field]: value,
+                status: 'sent',
+                createdAt: { [Op.gte]: since }
+            },
+            transaction
+        });
+    }
+
+    static async findOldestSentSince(field, value, since, { transaction } = {}) {
+        return await this.findOne({
+            where: {
+                [field]: value,
+                status: 'sent',
+                createdAt: { [Op.gte]: since }
+            },
+            order: [['createdAt', 'ASC']],
+            transaction
+        });
+    }
+
+    static async cleanupOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        return await this.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+    }
+}
+
+module.exports = OtpSendLog;
@@ -0,0 +1,157 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+class OutboundMessage extends Model {
+    static CHANNELS = ['sms', 'email', 'voice'];
+    static TYPES = ['otp', 'message'];
+    static STATUSES = ['queued', 'sent', 'delivered', 'undelivered', 'failed'];
+    static FINAL_STATUSES = ['delivered', 'undelivered', 'failed'];
+
+    static init(sequelize) {
+        return super.init({
+            id: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                primaryKey: true
+            },
+            channel: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [OutboundMessage.CHANNELS]
+                }
+            },
+            provider: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            providerMessageId: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            recipient: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            type: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: 'message',
+                validate: {
+                    isIn: [OutboundMessage.TYPES]
+                }
+            },
+            purpose: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            status: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                defaultValue: 'queued',
+                validate: {
+                    isIn: [OutboundMessage.STATUSES]
+                }
+            },
+            statusDetail: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            statusUpdatedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            deliveredAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'OutboundMessage',
+            tableName: 'outbound_messages',
+            timestamps: true,
+            indexes: [
+                {
+                    fields: ['provider', 'providerMessageId']
+                },
+                {
+                    fields: ['recipient', 'createdAt']
+                },
+                {
+                    fields: ['createdAt']
+                }
+            ]
+        });
+    }
+
+    static async findByProviderMessageId(provider, providerMessageId) {
+        return await this.findOne({ where: { provider, providerMessageId } });
+    }
+
+    static async countSentSince(channel, provider, since) {
+        return await this.count({
+            where: {
+                channel,
+                provider,
+                status: { [Op.ne]: 'failed' },
+                createdAt: { [Op.gte]: since }
+            }
+        });
+    }
+
+    static async findOldestSentSince(channel, provider, since) {
+        return await this.findOne({
+            where: {
+                channel,
+                provider,
+                status: { [Op.ne]: 'failed' },
+                createdAt: { [Op.gte]: since }
+            },
+            order: [['createdAt', 'ASC']]
+        });
+    }
+
+    static async cleanupOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        return await this.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+    }
+
+    isFinal() {
+        return OutboundMessage.FINAL_STATUSES.includes(this.status);
+    }
+
+    async applyStatus(status, statusDetail = null, occurredAt = new Date()) {
+        if (!OutboundMessage.STATUSES.includes(status)) {
+            throw new Error(`Unknown delivery status: ${status}`);
+        }
+
+        if (this.isFinal() || OutboundMessage.STATUSES.indexOf(status) < OutboundMessage.STATUSES.indexOf(this.status)) {
+            return false;
+        }
+
+        this.status = status;
+        this.statusDetail = statusDetail;
+        this.statusUpdatedAt = occurredAt;
+        if (status === 'delivered') {
+            this.deliveredAt = occurredAt;
+        }
+
+        await this.save();
+        return true;
+    }
+
+    toStatusJSON() {
+        return {
+            trackingId: this.id,
+            channel: this.channel,
+            type: this.type,
+            purpose: this.purpose,
+            status: this.status,
+            statusDetail: this.statusDetail,
+            sentAt: this.createdAt,
+            statusUpdatedAt: this.statusUpdatedAt,
+            deliveredAt: this.deliveredAt
+        };
+    }
+}
+
+module.exports = OutboundMessage;
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { DataTypes, Model, Op } = require('sequelize');
+
+class RefreshToken extends Model {
+    static TTL_DAYS = parseInt(process.env.JWT_REFRESH_TOKEN_DAYS) || 30;
+
+    static init(sequelize) {
+        return super.init({
+            accountId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'accounts',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            tokenHash: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                unique: true
+            },
+            familyId: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            rotatedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            replacedById: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            revokedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            revokedReason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'RefreshToken',
+            tableName: 'refresh_tokens',
+            timestamps: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['tokenHash']
+                },
+                {
+                    fields: ['familyId']
+                },
+                {
+                    fields: ['accountId']
+                }
+            ]
+        });
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static async issue(accountId, familyId = crypto.randomUUID()) {
+        const token = crypto.randomBytes(48).toString('base64url');
+        const record = await this.create({
+            accountId,
+            familyId,
+            tokenHash: RefreshToken.hashToken(token),
+            expiresAt: new Date(Date.now() + RefreshToken.TTL_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        return { token, record };
+    }
+
+    static async findByToken(token) {
+        if (!token || typeof token !== 'string') return null;
+        return await this.findOne({ where: { tokenHash: RefreshToken.hashToken(token) } });
+    }
+
+    static async revokeFamily(familyId, reason) {
+        const [revokedCount] = await this.update(
+            { revokedAt: new Date(), revokedReason: reason },
+            { where: { familyId, revokedAt: null } }
+        );
+        return revokedCount;
+    }
+
+    static async revokeAllForAccount(accountId, reason) {
+        const [revokedCount] = await this.update(
+            { revokedAt: new Date(), revokedReason: reason },
+            { where: { accountId, revokedAt: null } }
+        );
+        return revokedCount;
+    }
+
+    static async cleanupExpired() {
+        return await this.destroy({
+            where: { expiresAt: { [Op.lt]: new Date() } }
+        });
+    }
+
+    isExpired() {
+        return new Date(this.expiresAt) <= new Date();
+    }
+
+    async rotate() {
+        const [claimedCount] = await RefreshToken.update(
+            { rotatedAt: new Date() },
+            { where: { id: this.id, rotatedAt: null, revokedAt: null } }
+        );
+
+        if (claimedCount !== 1) {
+            return null;
+        }
+
+        const replacement = await RefreshToken.issue(this.accountId, this.familyId);
+        await RefreshToken.update(
+            { replacedById: replacement.record.id },
+            { where: { id: this.id } }
+        );
+
+        return replacement;
+    }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,95 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+class RevokedToken extends Model {
+    static init(sequelize) {
+        return super.init({
+            jti: {
+                type: DataTypes.STRING,
+                primaryKey: true,
+                allowNull: false
+            },
+            accountId: {
+                type: DataTypes.INTEGER,
+                allowNull: true
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            reason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'RevokedToken',
+            tableName: 'revoked_tokens',
+            timestamps: true,
+            updatedAt: false,
+            indexes: [
+                {
+                    fields: ['expiresAt']
+                },
+                {
+                    fields: ['accountId']
+                }
+            ]
+        });
+    }
+
+    static async revoke(jti, { accountId = null, expiresAt, reason = null } = {}) {
+        if (!jti) {
+            throw new Error('Token ID is required for revocation');
+        }
+
+        const [revokedToken] = await this.findOrCreate({
+            where: { jti },
+            defaults: {
+                accountId,
+                expiresAt: expiresAt || new Date(),
+                reason
+            }
+        });
+
+        return revokedToken;
+    }
+
+    static async consume(jti, { accountId = null, expiresAt, reason = null, transaction } = {}) {
+        if (!jti) {
+            throw new Error('Token ID is required for consumption');
+        }
+
+        try {
+            const [, created] = await this.findOrCreate({
+                where: { jti },
+                defaults: {
+                    accountId,
+                    expiresAt: expiresAt || new Date(),
+                    reason
+                },
+                transaction
+            });
+
+            return created;
+        } catch (error) {
+            if (error.name === 'SequelizeUniqueConstraintError') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    static async isRevoked(jti) {
+        if (!jti) return false;
+        const revokedToken = await this.findByPk(jti);
+        return revokedToken !== null;
+    }
+
+    static async cleanupExpired() {
+        return await this.destroy({
+            where: { expiresAt: { [Op.lt]: new Date() } }
+        });
+    }
+}
+
+module.exports = RevokedToken;
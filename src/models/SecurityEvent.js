@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const { DataTypes, Model, Op } = require('sequelize');
+
+class SecurityEvent extends Model {
+    static TYPES = ['new_device_login', 'pin_changed', 'pin_reset', 'email_changed', 'kyc_approved', 'kyc_rejected'];
+
+    static init(sequelize) {
+        return super.init({
+            id: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                primaryKey: true
+            },
+            accountId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'accounts',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            type: {
+                type: DataTypes.STRING,
+                allowNull: false,
+                validate: {
+                    isIn: [SecurityEvent.TYPES]
+                }
+            },
+            details: {
+                type: DataTypes.JSON,
+                allowNull: false,
+                defaultValue: {}
+            },
+            freezeTokenHash: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                unique: true
+            },
+            freezeTokenExpiresAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            freezeUsedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'SecurityEvent',
+            tableName: 'security_events',
+            timestamps: true,
+            indexes: [
+                {
+                    fields: ['accountId', 'createdAt']
+                },
+                {
+                    unique: true,
+                    fields: ['freezeTokenHash']
+                }
+            ]
+        });
+    }
+
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    static async record(accountId, type, details = {}, { freezeLinkHours = 0 } = {}) {
+        const freezeToken = freezeLinkHours > 0 ? crypto.randomBytes(24).toString('base64url') : null;
+        const event = await this.create({
+            accountId,
+            type,
+            details,
+            freezeTokenHash: freezeToken ? SecurityEvent.hashToken(freezeToken) : null,
+            freezeTokenExpiresAt: freezeToken ? new Date(Date.now() + freezeLinkHours * 60 * 60 * 1000) : null
+        });
+
+        return { event, freezeToken };
+    }
+
+    static async findByFreezeToken(token) {
+        if (!token || typeof token !== 'string') return null;
+        return await this.findOne({ where: { freezeTokenHash: SecurityEvent.hashToken(token) } });
+    }
+
+    static async findRecentForAccount(accountId, limit = 20) {
+        return await this.findAll({
+            where: { accountId },
+            order: [['createdAt', 'DESC']],
+            limit
+        });
+    }
+
+    static async cleanupOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        return await this.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+    }
+
+    isFreezeTokenExpired() {
+        return !this.freezeTokenExpiresAt || new Date() > this.freezeTokenExpiresAt;
+    }
+
+    async markFreezeUsed() {
+        this.freezeUsedAt = new Date();
+        return await this.save();
+    }
+
+    toPublicJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            details: this.details,
+            frozeAccount: !!this.freezeUsedAt,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = SecurityEvent;
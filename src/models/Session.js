@@ -0,0 +1,169 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+class Session extends Model {
+    static LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+    static init(sequelize) {
+        return super.init({
+            id: {
+                type: DataTypes.UUID,
+                defaultValue: DataTypes.UUIDV4,
+                primaryKey: true
+            },
+            accountId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'accounts',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            jti: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            refreshFamilyId: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            deviceName: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                validate: {
+                    len: [0, 100]
+                }
+            },
+            platform: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                validate: {
+                    len: [0, 50]
+                }
+            },
+            appVersion: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                validate: {
+                    len: [0, 50]
+                }
+            },
+            ipAddress: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            userAgent: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            lastSeenAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW
+            },
+            expiresAt: {
+                type: DataTypes.DATE,
+                allowNull: false
+            },
+            revokedAt: {
+                type: DataTypes.DATE,
+                allowNull: true
+            },
+            revokedReason: {
+                type: DataTypes.STRING,
+                allowNull: true
+            }
+        }, {
+            sequelize,
+            modelName: 'Session',
+            tableName: 'sessions',
+            timestamps: true,
+            indexes: [
+                {
+                    fields: ['accountId']
+                },
+                {
+                    fields: ['refreshFamilyId']
+                },
+                {
+                    fields: ['jti']
+                }
+            ]
+        });
+    }
+
+    static async findActiveForAccount(accountId) {
+        return await this.findAll({
+            where: {
+                accountId,
+                revokedAt: null,
+                expiresAt: { [Op.gt]: new Date() }
+            },
+            order: [['lastSeenAt', 'DESC']]
+        });
+    }
+
+    static async findByRefreshFamily(familyId) {
+        return await this.findOne({ where: { refreshFamilyId: familyId } });
+    }
+
+    static async revokeByRefreshFamily(familyId, reason) {
+        const [revokedCount] = await this.update(
+            { revokedAt: new Date(), revokedReason: reason },
+            { where: { refreshFamilyId: familyId, revokedAt: null } }
+        );
+        return revokedCount;
+    }
+
+    static async revokeAllForAccount(accountId, reason) {
+        const [revokedCount] = await this.update(
+            { revokedAt: new Date(), revokedReason: reason },
+            { where: { accountId, revokedAt: null } }
+        );
+        return revokedCount;
+    }
+
+    static async cleanupExpired() {
+        return await this.destroy({
+            where: { expiresAt: { [Op.lt]: new Date() } }
+        });
+    }
+
+    isActive() {
+        return !this.revokedAt && new Date(this.expiresAt) > new Date();
+    }
+
+    async revoke(reason) {
+        this.revokedAt = new Date();
+        this.revokedReason = reason;
+        return await this.save();
+    }
+
+    async recordActivity(ipAddress = null) {
+        const lastSeen = new Date(this.lastSeenAt).getTime();
+        if (Date.now() - lastSeen < Session.LAST_SEEN_UPDATE_INTERVAL_MS) {
+            return this;
+        }
+
+        this.lastSeenAt = new Date();
+        if (ipAddress) {
+            this.ipAddress = ipAddress;
+        }
+        return await this.save();
+    }
+
+    toPublicJSON(currentSessionId = null) {
+        return {
+            id: this.id,
+            deviceName: this.deviceName,
+            platform: this.platform,
+            appVersion: this.appVersion,
+            ipAddress: this.ipAddress,
+            lastSeenAt: this.lastSeenAt,
+            createdAt: this.createdAt,
+            current: this.id === currentSessionId
+        };
+    }
+}
+
+module.exports = Session;
@@ -0,0 +1,101 @@
+const { DataTypes, Model, Op } = require('sequelize');
+
+class SmsBalanceSnapshot extends Model {
+    static init(sequelize) {
+        return super.init({
+            provider: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            balance: {
+                type: DataTypes.FLOAT,
+                allowNull: false
+            },
+            credits: {
+                type: DataTypes.FLOAT,
+                allowNull: true
+            },
+            currency: {
+                type: DataTypes.STRING,
+                allowNull: true
+            },
+            dailySendRate: {
+                type: DataTypes.FLOAT,
+                allowNull: true
+            },
+            costPerMessage: {
+                type: DataTypes.FLOAT,
+                allowNull: true
+            },
+            estimatedDaysRemaining: {
+                type: DataTypes.FLOAT,
+                allowNull: true
+            },
+            alerted: {
+                type: DataTypes.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            }
+        }, {
+            sequelize,
+            modelName: 'SmsBalanceSnapshot',
+            tableName: 'sms_balance_snapshots',
+            timestamps: true,
+            updatedAt: false,
+            indexes: [
+                {
+                    fields: ['provider', 'createdAt']
+                }
+            ]
+        });
+    }
+
+    static async findSince(provider, since) {
+        return await this.findAll({
+            where: {
+                provider,
+                createdAt: { [Op.gte]: since }
+            },
+            order: [['createdAt', 'ASC']]
+        });
+    }
+
+    static async findLatest(provider) {
+        return await this.findOne({
+            where: { provider },
+            order: [['createdAt', 'DESC']]
+        });
+    }
+
+    static async findLastAlertSince(provider, since) {
+        return await this.findOne({
+            where: {
+                provider,
+                alerted: true,
+                createdAt: { [Op.gte]: since }
+            },
+            order: [['createdAt', 'DESC']]
+        });
+    }
+
+    static async cleanupOlderThan(days) {
+        const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        return await this.destroy({ where: { createdAt: { [Op.lt]: cutoff } } });
+    }
+
+    toSummaryJSON() {
+        return {
+            provider: this.provider,
+            balance: this.balance,
+            credits: this.credits,
+            currency: this.currency,
+            dailySendRate: this.dailySendRate,
+            costPerMessage: this.costPerMessage,
+            estimatedDaysRemaining: this.estimatedDaysRemaining,
+            alerted: this.alerted,
+            checkedAt: this.createdAt
+        };
+    }
+}
+
+module.exports = SmsBalanceSnapshot;
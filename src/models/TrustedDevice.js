@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { DataTypes, Model } = require('sequelize');
+
+class TrustedDevice extends Model {
+    static init(sequelize) {
+        return super.init({
+            accountId: {
+                type: DataTypes.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'accounts',
+                    key: 'id'
+                },
+                onDelete: 'CASCADE'
+            },
+            fingerprint: {
+                type: DataTypes.STRING,
+                allowNull: false
+            },
+            deviceName: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                validate: {
+                    len: [0, 100]
+                }
+            },
+            platform: {
+                type: DataTypes.STRING,
+                allowNull: true,
+                validate: {
+                    len: [0, 50]
+                }
+            },
+            lastUsedAt: {
+                type: DataTypes.DATE,
+                allowNull: false,
+                defaultValue: DataTypes.NOW
+            }
+        }, {
+            sequelize,
+            modelName: 'TrustedDevice',
+            tableName: 'trusted_devices',
+            timestamps: true,
+            indexes: [
+                {
+                    unique: true,
+                    fields: ['accountId', 'fingerprint']
+                }
+            ]
+        });
+    }
+
+    static fingerprint(deviceId, userAgent) {
+        return crypto.createHash('sha256')
+            .update(`${deviceId || ''}|${userAgent || ''}`)
+            .digest('hex');
+    }
+
+    static async findTrusted(accountId, fingerprint) {
+        return await this.findOne({ where: { accountId, fingerprint } });
+    }
+
+    static async trust(accountId, fingerprint, deviceInfo = {}) {
+        const [device] = await this.findOrCreate({
+            where: { accountId, fingerprint },
+            defaults: {
+                deviceName: deviceInfo.deviceName || null,
+                platform: deviceInfo.platform || null,
+                lastUsedAt: new Date()
+            }
+        });
+
+        return device;
+    }
+
+    static async findAllForAccount(accountId) {
+        return await this.findAll({
+            where: { accountId },
+            order: [['lastUsedAt', 'DESC']]
+        });
+    }
+
+    static async removeAllForAccount(accountId) {
+        return await this.destroy({ where: { accountId } });
+    }
+
+    async markUsed() {
+        this.lastUsedAt = new Date();
+        return await this.save();
+    }
+
+    toPublicJSON(currentFingerprint = null) {
+        return {
+            id: this.id,
+            deviceName: this.deviceName,
+            platform: this.platform,
+            lastUsedAt: this.lastUsedAt,
+            trustedAt: this.createdAt,
+            current: this.fingerprint === currentFingerprint
+        };
+    }
+}
+
+module.exports = TrustedDevice;
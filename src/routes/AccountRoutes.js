@@ -11,8 +11,23 @@ class AccountRoutes extends BaseRouter {
         this._setupRoutes();
     }
 
+    _setupDefaultMiddleware() {
+        if (process.env.NODE_ENV !== 'production') {
+            this.router.use(this.logRequest.bind(this));
+        }
+
+        const jsonContentType = this.validateContentType();
+        const linkContentType = this.validateContentType(['application/json', 'application/x-www-form-urlencoded']);
+        this.router.use((req, res, next) => {
+            const validateContentType = req.path.startsWith('/verify-email/') ? linkContentType : jsonContentType;
+            validateContentType(req, res, next);
+        });
+        this.router.use(this.corsHandler());
+    }
+
     _setupRoutes() {
         this._setupPublicRoutes();
+        this._setupPinRecoveryRoutes();
         this._setupAuthenticatedRoutes();
         this._setupEmailChangeRoutes();
     }
@@ -27,9 +42,22 @@ class AccountRoutes extends BaseRouter {
             ValidationMiddleware.sanitizeInput,
             DeduplicationMiddleware.deduplicate(this._generateSmsKey),
             ValidationMiddleware.validatePhoneNumber,
+            ValidationMiddleware.validateDeliveryChannel,
             this.asyncHandler(this.sendVerificationCode.bind(this))
         );
 
+        this.router.get('/message-status/:trackingId',
+            this.asyncHandler(this.getMessageStatus.bind(this))
+        );
+
+        this.router.get('/verify-email/:token',
+            this.asyncHandler(this.showEmailVerificationConfirmation.bind(this))
+        );
+
+        this.router.post('/verify-email/:token',
+            this.asyncHandler(this.verifyEmailLink.bind(this))
+        );
+
         this.router.post('/verify-code',
             ValidationMiddleware.sanitizeInput,
             DeduplicationMiddleware.deduplicate(this._generateSmsVerificationKey),
@@ -51,6 +79,59 @@ class AccountRoutes extends BaseRouter {
             ValidationMiddleware.validateLoginPin,
             this.asyncHandler(this.loginWithPin.bind(this))
         );
+
+        this.router.post('/login/verify-device',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generateDeviceChallengeKey),
+            ValidationMiddleware.validateDeviceChallenge,
+            this.asyncHandler(this.verifyDeviceChallenge.bind(this))
+        );
+
+        this.router.post('/token/refresh',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generateTokenRefreshKey),
+            ValidationMiddleware.validateRefreshToken,
+            this.asyncHandler(this.refreshSession.bind(this))
+        );
+
+        this.router.post('/login/unlock/send',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generateUnlockSmsKey),
+            ValidationMiddleware.validatePhoneNumber,
+            this.asyncHandler(this.sendPinUnlockCode.bind(this))
+        );
+
+        this.router.post('/login/unlock',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generateUnlockKey),
+            ValidationMiddleware.validatePhoneNumber,
+            ValidationMiddleware.validateEmailVerification,
+            this.asyncHandler(this.unlockPin.bind(this))
+        );
+    }
+
+    _setupPinRecoveryRoutes() {
+        this.router.post('/pin/forgot',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generatePinForgotKey),
+            ValidationMiddleware.validatePhoneNumber,
+            this.asyncHandler(this.requestPinReset.bind(this))
+        );
+
+        this.router.post('/pin/forgot/verify',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generatePinForgotVerifyKey),
+            ValidationMiddleware.validatePhoneNumber,
+            ValidationMiddleware.validateEmailVerification,
+            this.asyncHandler(this.verifyPinResetCode.bind(this))
+        );
+
+        this.router.post('/pin/reset',
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generatePinResetKey),
+            ValidationMiddleware.validatePinReset,
+            this.asyncHandler(this.resetPin.bind(this))
+        );
     }
 
     _setupAuthenticatedRoutes() {
@@ -59,6 +140,60 @@ class AccountRoutes extends BaseRouter {
             this.asyncHandler(this.getProfile.bind(this))
         );
 
+        this.router.put('/locale',
+            AuthMiddleware.authenticate,
+            ValidationMiddleware.sanitizeInput,
+            ValidationMiddleware.validateLocale,
+            this.asyncHandler(this.updateLocale.bind(this))
+        );
+
+        this.router.get('/security-events',
+            AuthMiddleware.authenticate,
+            this.asyncHandler(this.listSecurityEvents.bind(this))
+        );
+
+        this.router.get('/trusted-devices',
+            AuthMiddleware.authenticate,
+            this.asyncHandler(this.listTrustedDevices.bind(this))
+        );
+
+        this.router.delete('/trusted-devices/:id',
+            AuthMiddleware.authenticate,
+            DeduplicationMiddleware.deduplicate(this._generateTrustedDeviceRemoveKey),
+            this.asyncHandler(this.removeTrustedDevice.bind(this))
+        );
+
+        this.router.post('/logout',
+            AuthMiddleware.authenticate,
+            DeduplicationMiddleware.deduplicate(this._generateLogoutKey),
+            this.asyncHandler(this.logout.bind(this))
+        );
+
+        this.router.post('/logout-all',
+            AuthMiddleware.authenticate,
+            DeduplicationMiddleware.deduplicate(this._generateLogoutAllKey),
+            this.asyncHandler(this.logoutAll.bind(this))
+        );
+
+        this.router.get('/sessions',
+            AuthMiddleware.authenticate,
+            this.asyncHandler(this.listSessions.bind(this))
+        );
+
+        this.router.delete('/sessions/:id',
+            AuthMiddleware.authenticate,
+            DeduplicationMiddleware.deduplicate(this._generateSessionRevokeKey),
+            this.asyncHandler(this.revokeSession.bind(this))
+        );
+
+        this.router.post('/pin/change',
+            AuthMiddleware.authenticate,
+            ValidationMiddleware.sanitizeInput,
+            DeduplicationMiddleware.deduplicate(this._generatePinChangeKey),
+            ValidationMiddleware.validateChangePin,
+            this.asyncHandler(this.changePin.bind(this))
+        );
+
         this.router.post('/add-email',
             AuthMiddleware.authenticate,
             ValidationMiddleware.sanitizeInput,
@@ -124,6 +259,54 @@ class AccountRoutes extends BaseRouter {
         return `login-${req.body.phoneNumber}`;
     }
 
+    _generateDeviceChallengeKey(req) {
+        return `device-challenge-${req.body.challengeToken}`;
+    }
+
+    _generateTokenRefreshKey(req) {
+        return `token-refresh-${req.body.refreshToken}`;
+    }
+
+    _generateUnlockSmsKey(req) {
+        return `unlock-sms-${req.body.phoneNumber}`;
+    }
+
+    _generateUnlockKey(req) {
+        return `unlock-${req.body.phoneNumber}-${req.body.code}`;
+    }
+
+    _generatePinForgotKey(req) {
+        return `pin-forgot-${req.body.phoneNumber}`;
+    }
+
+    _generatePinForgotVerifyKey(req) {
+        return `pin-forgot-verify-${req.body.phoneNumber}-${req.body.code}`;
+    }
+
+    _generatePinResetKey(req) {
+        return `pin-reset-${req.body.resetToken}`;
+    }
+
+    _generateLogoutKey(req) {
+        return `logout-${req.auth.jti}`;
+    }
+
+    _generateLogoutAllKey(req) {
+        return `logout-all-${req.user.phoneNumber}`;
+    }
+
+    _generateTrustedDeviceRemoveKey(req) {
+        return `trusted-device-remove-${req.user.phoneNumber}-${req.params.id}`;
+    }
+
+    _generateSessionRevokeKey(req) {
+        return `session-revoke-${req.user.phoneNumber}-${req.params.id}`;
+    }
+
+    _generatePinChangeKey(req) {
+        return `pin-change-${req.user.phoneNumber}`;
+    }
+
     _generateAddEmailKey(req) {
         return `add-email-${req.user.phoneNumber}`;
     }
@@ -148,6 +331,22 @@ class AccountRoutes extends BaseRouter {
         return `email-verify-${req.user.phoneNumber}-${req.body.code}`;
     }
 
+    _extractDeviceInfo(req) {
+        const readField = (bodyField, header, maxLength) => {
+            const value = req.body[bodyField] || req.get(header);
+            return value ? value.toString().trim().substring(0, maxLength) : null;
+        };
+
+        return {
+            deviceId: readField('deviceId', 'X-Device-Id', 200),
+            deviceName: readField('deviceName', 'X-Device-Name', 100),
+            platform: readField('platform', 'X-Platform', 50),
+            appVersion: readField('appVersion', 'X-App-Version', 50),
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent') || null
+        };
+    }
+
     async checkAccountExists(req, res) {
         try {
             const exists = await this.accountController.checkAccountExists(req.params.phone);
@@ -159,19 +358,28 @@ class AccountRoutes extends BaseRouter {
 
     async sendVerificationCode(req, res) {
         try {
-            const { phoneNumber } = req.body;
-            const result = await this.accountController.sendVerificationCode(phoneNumber);
-            res.json(this.successResponse(result, 'Verification code sent'));
+            const { phoneNumber, channel } = req.body;
+            const result = await this.accountController.sendVerificationCode(phoneNumber, { channel, ipAddress: req.ip });
+            res.json(this.successResponse(result, `Verification code sent via ${result.channel}`));
         } catch (error) {
-            res.status(400).json(this.errorResponse(error.message));
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message, null, error.details));
+        }
+    }
+
+    async getMessageStatus(req, res) {
+        try {
+            const result = await this.accountController.getMessageStatus(req.params.trackingId);
+            res.json(this.successResponse(result, 'Message status retrieved'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
         }
     }
 
     async verifyCode(req, res) {
         try {
             const { phoneNumber, code } = req.body;
-            const verified = await this.accountController.verifyCode(phoneNumber, code);
-            res.json(this.successResponse({ verified }, 'Code verification completed'));
+            const result = await this.accountController.verifyCode(phoneNumber, code);
+            res.json(this.successResponse(result, 'Code verification completed'));
         } catch (error) {
             res.status(400).json(this.errorResponse(error.message));
         }
@@ -179,10 +387,10 @@ class AccountRoutes extends BaseRouter {
 
     async createAccount(req, res) {
         try {
-            const result = await this.accountController.createAccount(req.body);
+            const result = await this.accountController.createAccount(req.body, this._extractDeviceInfo(req));
             res.status(201).json(this.successResponse(result, 'Account created successfully'));
         } catch (error) {
-            const statusCode = error.message.includes('already exists') ? 409 : 400;
+            const statusCode = error.statusCode || (error.message.includes('already exists') ? 409 : 400);
             res.status(statusCode).json(this.errorResponse(error.message));
         }
     }
@@ -190,14 +398,97 @@ class AccountRoutes extends BaseRouter {
     async loginWithPin(req, res) {
         try {
             const { phoneNumber, pin } = req.body;
-            const result = await this.accountController.loginWithPin(phoneNumber, pin);
+            const result = await this.accountController.loginWithPin(phoneNumber, pin, this._extractDeviceInfo(req));
+
+            if (result.challengeRequired) {
+                return res.status(202).json(this.successResponse(result, 'Device verification required'));
+            }
+
+            res.json(this.successResponse(result, 'Login successful'));
+        } catch (error) {
+            const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 401);
+            res.status(statusCode).json(this.errorResponse(error.message, null, error.details));
+        }
+    }
+
+    async verifyDeviceChallenge(req, res) {
+        try {
+            const { challengeToken, code } = req.body;
+            const result = await this.accountController.verifyDeviceChallenge(
+                challengeToken,
+                code,
+                this._extractDeviceInfo(req)
+            );
             res.json(this.successResponse(result, 'Login successful'));
         } catch (error) {
-            const statusCode = error.message.includes('not found') ? 404 : 401;
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message, null, error.details));
+        }
+    }
+
+    async refreshSession(req, res) {
+        try {
+            const { refreshToken } = req.body;
+            const result = await this.accountController.refreshSession(refreshToken);
+            res.json(this.successResponse(result, 'Session refreshed'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async sendPinUnlockCode(req, res) {
+        try {
+            const { phoneNumber } = req.body;
+            const result = await this.accountController.sendPinUnlockCode(phoneNumber, { ipAddress: req.ip });
+            res.json(this.successResponse(result, 'Unlock code sent'));
+        } catch (error) {
+            const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 400);
+            res.status(statusCode).json(this.errorResponse(error.message, null, error.details));
+        }
+    }
+
+    async unlockPin(req, res) {
+        try {
+            const { phoneNumber, code } = req.body;
+            const result = await this.accountController.unlockPin(phoneNumber, code);
+            res.json(this.successResponse(result, 'Account unlocked'));
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
+            res.status(statusCode).json(this.errorResponse(error.message));
+        }
+    }
+
+    async requestPinReset(req, res) {
+        try {
+            const { phoneNumber } = req.body;
+            const result = await this.accountController.requestPinReset(phoneNumber, { ipAddress: req.ip });
+            res.json(this.successResponse(result, 'PIN reset code sent'));
+        } catch (error) {
+            const statusCode = error.statusCode || (error.message.includes('not found') ? 404 : 400);
+            res.status(statusCode).json(this.errorResponse(error.message, null, error.details));
+        }
+    }
+
+    async verifyPinResetCode(req, res) {
+        try {
+            const { phoneNumber, code } = req.body;
+            const result = await this.accountController.verifyPinResetCode(phoneNumber, code);
+            res.json(this.successResponse(result, 'PIN reset code verified'));
+        } catch (error) {
+            const statusCode = error.message.includes('not found') ? 404 : 400;
             res.status(statusCode).json(this.errorResponse(error.message));
         }
     }
 
+    async resetPin(req, res) {
+        try {
+            const { resetToken, pin } = req.body;
+            const result = await this.accountController.resetPin(resetToken, pin);
+            res.json(this.successResponse(result, 'PIN reset successfully'));
+        } catch (error) {
+            res.status(400).json(this.errorResponse(error.message));
+        }
+    }
+
     async getProfile(req, res) {
         try {
             const result = await this.accountController.getProfile(req.user.phoneNumber);
@@ -207,13 +498,100 @@ class AccountRoutes extends BaseRouter {
         }
     }
 
+    async updateLocale(req, res) {
+        try {
+            const result = await this.accountController.updateLocale(req.user.phoneNumber, req.body.locale);
+            res.json(this.successResponse(result, 'Locale updated successfully'));
+        } catch (error) {
+            res.status(400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async logout(req, res) {
+        try {
+            const { refreshToken } = req.body;
+            const result = await this.accountController.logout(req.user.phoneNumber, req.auth, refreshToken);
+            res.json(this.successResponse(result, 'Logged out successfully'));
+        } catch (error) {
+            res.status(400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async logoutAll(req, res) {
+        try {
+            const result = await this.accountController.logoutAll(req.user.phoneNumber, req.auth);
+            res.json(this.successResponse(result, 'Logged out from all devices'));
+        } catch (error) {
+            res.status(400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async listSecurityEvents(req, res) {
+        try {
+            const result = await this.accountController.listSecurityEvents(req.user.phoneNumber);
+            res.json(this.successResponse(result, 'Security events retrieved successfully'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async listTrustedDevices(req, res) {
+        try {
+            const result = await this.accountController.listTrustedDevices(
+                req.user.phoneNumber,
+                this._extractDeviceInfo(req)
+            );
+            res.json(this.successResponse(result, 'Trusted devices retrieved successfully'));
+        } catch (error) {
+            res.status(400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async removeTrustedDevice(req, res) {
+        try {
+            const result = await this.accountController.removeTrustedDevice(req.user.phoneNumber, req.params.id);
+            res.json(this.successResponse(result, 'Trusted device removed successfully'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async listSessions(req, res) {
+        try {
+            const result = await this.accountController.listSessions(req.user.phoneNumber, req.auth);
+            res.json(this.successResponse(result, 'Sessions retrieved successfully'));
+        } catch (error) {
+            res.status(400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async revokeSession(req, res) {
+        try {
+            const result = await this.accountController.revokeSession(req.user.phoneNumber, req.params.id);
+            res.json(this.successResponse(result, 'Session revoked successfully'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async changePin(req, res) {
+        try {
+            const { currentPin, newPin } = req.body;
+            const result = await this.accountController.changePin(req.user.phoneNumber, currentPin, newPin);
+            res.json(this.successResponse(result, 'PIN changed successfully'));
+        } catch (error) {
+            const statusCode = error.statusCode || 400;
+            res.status(statusCode).json(this.errorResponse(error.message, null, error.details));
+        }
+    }
+
     async addEmail(req, res) {
         try {
             const { email } = req.body;
             const result = await this.accountController.addEmail(req.user.phoneNumber, email);
             res.json(this.successResponse(result, 'Email added successfully'));
         } catch (error) {
-            const statusCode = error.message.includes('already in use') ? 409 : 400;
+            const statusCode = error.statusCode || (error.message.includes('already in use') ? 409 : 400);
             res.status(statusCode).json(this.errorResponse(error.message));
         }
     }
@@ -223,7 +601,7 @@ class AccountRoutes extends BaseRouter {
             const result = await this.accountController.sendEmailVerification(req.user.phoneNumber);
             res.json(this.successResponse(result, 'Email verification sent'));
         } catch (error) {
-            res.status(400).json(this.errorResponse(error.message));
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message, null, error.details));
         }
     }
 
@@ -237,14 +615,61 @@ class AccountRoutes extends BaseRouter {
         }
     }
 
+    async showEmailVerificationConfirmation(req, res) {
+        try {
+            const result = await this.accountController.getEmailVerificationLink(req.params.token);
+
+            if (!this.respondsWithHtml(req)) {
+                return res.json(this.successResponse(result, 'Verification link is valid'));
+            }
+
+            if (result.alreadyVerified) {
+                return res.send(this.renderPage('Email verified', 'Email is already verified. You can return to the Kachingko app.'));
+            }
+
+            res.send(this.renderPage(
+                'Verify your email address?',
+                `Confirm that ${result.email} belongs to you and should receive Kachingko account emails.`,
+                { submitLabel: 'Verify my email' }
+            ));
+        } catch (error) {
+            this._sendLinkError(req, res, error);
+        }
+    }
+
+    async verifyEmailLink(req, res) {
+        try {
+            const result = await this.accountController.verifyEmailLink(req.params.token);
+            const message = result.alreadyVerified ? 'Email is already verified' : 'Email verification completed';
+
+            if (this.respondsWithHtml(req)) {
+                return res.send(this.renderPage('Email verified', `${message}. You can return to the Kachingko app.`));
+            }
+
+            res.json(this.successResponse(result, message));
+        } catch (error) {
+            this._sendLinkError(req, res, error);
+        }
+    }
+
+    _sendLinkError(req, res, error) {
+        const statusCode = error.statusCode || 400;
+
+        if (this.respondsWithHtml(req)) {
+            return res.status(statusCode).send(this.renderPage('Link not available', error.message));
+        }
+
+        res.status(statusCode).json(this.errorResponse(error.message));
+    }
+
     async requestEmailChange(req, res) {
         try {
             const { email } = req.body;
-            const result = await this.accountController.requestEmailChange(req.user.phoneNumber, email);
+            const result = await this.accountController.requestEmailChange(req.user.phoneNumber, email, { ipAddress: req.ip });
             res.json(this.successResponse(result, 'Email change request initiated'));
         } catch (error) {
-            const statusCode = error.message.includes('already in use') ? 409 : 400;
-            res.status(statusCode).json(this.errorResponse(error.message));
+            const statusCode = error.statusCode || (error.message.includes('already in use') ? 409 : 400);
+            res.status(statusCode).json(this.errorResponse(error.message, null, error.details));
         }
     }
 
@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const BaseRouter = require('./BaseRouter');
+const AdminController = require('../controllers/AdminController');
+const AccountController = require('../controllers/AccountController');
+const ValidationMiddleware = require('../middleware/ValidationMiddleware');
+const logger = require('../utils/Logger');
+
+class AdminRoutes extends BaseRouter {
+    constructor() {
+        super();
+        this.adminController = new AdminController();
+        this.accountController = new AccountController();
+        this._setupRoutes();
+    }
+
+    _setupRoutes() {
+        this.router.use(this.verifyAdminKey.bind(this));
+
+        this.router.get('/email-outbox',
+            this.asyncHandler(this.listEmailOutbox.bind(this))
+        );
+
+        this.router.post('/email-outbox/replay-dead',
+            this.asyncHandler(this.replayDeadEmails.bind(this))
+        );
+
+        this.router.post('/email-outbox/:id/replay',
+            this.asyncHandler(this.replayEmail.bind(this))
+        );
+
+        this.router.get('/email-suppressions',
+            this.asyncHandler(this.listEmailSuppressions.bind(this))
+        );
+
+        this.router.delete('/email-suppressions/:email',
+            this.asyncHandler(this.removeEmailSuppression.bind(this))
+        );
+
+        this.router.post('/accounts/:id/kyc',
+            ValidationMiddleware.sanitizeInput,
+            this.asyncHandler(this.reviewKyc.bind(this))
+        );
+
+        this.router.post('/accounts/:id/unfreeze',
+            this.asyncHandler(this.unfreezeAccount.bind(this))
+        );
+    }
+
+    verifyAdminKey(req, res, next) {
+        const expected = process.env.ADMIN_API_KEY;
+
+        if (!expected) {
+            return res.status(503).json(this.errorResponse('Admin API is not configured'));
+        }
+
+        const provided = req.get('X-Admin-Key') || '';
+        const expectedBuffer = Buffer.from(expected);
+        const providedBuffer = Buffer.from(String(provided));
+
+        if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+            logger.warn(`[${this.routerName}] Rejected admin request with invalid key`, {
+                path: req.path,
+                ip: req.ip
+            });
+            return res.status(401).json(this.errorResponse('Invalid admin key'));
+        }
+
+        next();
+    }
+
+    async listEmailOutbox(req, res) {
+        try {
+            const { status, limit } = req.query;
+            const result = await this.adminController.listEmailOutbox({ status, limit });
+            res.json(this.successResponse(result, 'Outbox emails retrieved'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async replayEmail(req, res) {
+        try {
+            const result = await this.adminController.replayEmail(req.params.id);
+            res.json(this.successResponse(result, 'Outbox email queued for replay'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async replayDeadEmails(req, res) {
+        try {
+            const result = await this.adminController.replayDeadEmails();
+            res.json(this.successResponse(result, 'Dead-lettered emails queued for replay'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async listEmailSuppressions(req, res) {
+        try {
+            const result = await this.adminController.listEmailSuppressions({ limit: req.query.limit });
+            res.json(this.successResponse(result, 'Email suppressions retrieved'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async removeEmailSuppression(req, res) {
+        try {
+            const result = await this.adminController.removeEmailSuppression(req.params.email);
+            res.json(this.successResponse(result, 'Email suppression removed'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async reviewKyc(req, res) {
+        try {
+            const { status, reason, birthDate } = req.body;
+            const result = await this.accountController.reviewKyc(req.params.id, { status, reason, birthDate });
+            res.json(this.successResponse(result, 'KYC decision recorded'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async unfreezeAccount(req, res) {
+        try {
+            const result = await this.accountController.unfreezeAccount(req.params.id);
+            res.json(this.successResponse(result, 'Account unfrozen'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+}
+
+module.exports = AdminRoutes;
@@ -1,5 +1,7 @@
 const express = require('express');
 const logger = require('../utils/Logger');
+const EmailTemplateEngine = require('../utils/EmailTemplateEngine');
+const SensitiveData = require('../utils/SensitiveData');
 
 class BaseRouter {
     constructor() {
@@ -27,13 +29,17 @@ class BaseRouter {
         };
     }
 
-    errorResponse(message, error = null) {
+    errorResponse(message, error = null, data = null) {
         const response = {
             success: false,
             message,
             timestamp: new Date().toISOString()
         };
 
+        if (data !== null && data !== undefined) {
+            response.data = data;
+        }
+
         if (error && process.env.NODE_ENV === 'development') {
             response.error = error?.message || error;
         }
@@ -47,7 +53,7 @@ class BaseRouter {
         logger.info(`[${this.routerName}] ${req.method} ${req.originalUrl}`, {
             ip: req.ip,
             userAgent: req.get('User-Agent'),
-            body: this._sanitizeRequestData(req.body),
+            body: SensitiveData.redactFields(req.body),
             params: req.params,
             query: req.query
         });
@@ -193,6 +199,41 @@ class BaseRouter {
         };
     }
 
+    respondsWithHtml(req) {
+        return Boolean(req.is('application/x-www-form-urlencoded')) || req.accepts(['json', 'html']) === 'html';
+    }
+
+    renderPage(title, message, { submitLabel = null } = {}) {
+        const escape = EmailTemplateEngine.escapeHtml;
+        const form = submitLabel
+            ? `<form method="post"><button type="submit">${escape(submitLabel)}</button></form>`
+            : '';
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="robots" content="noindex">
+    <title>${escape(title)} - Kachingko</title>
+    <style>
+        body { font-family: Arial, sans-serif; background: #f4f4f4; margin: 0; padding: 40px 20px; color: #333; }
+        main { max-width: 480px; margin: 0 auto; background: #fff; border-radius: 12px; padding: 30px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1); }
+        h1 { font-size: 22px; margin-top: 0; }
+        button { background: #dc3545; color: #fff; border: 0; border-radius: 8px; padding: 14px 28px; font-size: 16px; font-weight: 600; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <main>
+        <h1>${escape(title)}</h1>
+        <p>${escape(message)}</p>
+        ${form}
+    </main>
+</body>
+</html>
+`;
+    }
+
     _setupDefaultMiddleware() {
         if (process.env.NODE_ENV !== 'production') {
             this.router.use(this.logRequest.bind(this));
@@ -202,23 +243,6 @@ class BaseRouter {
         this.router.use(this.corsHandler());
     }
 
-    _sanitizeRequestData(data) {
-        if (!data || typeof data !== 'object') {
-            return data;
-        }
-
-        const sensitiveFields = ['password', 'pin', 'token', 'secret', 'key'];
-        const sanitized = { ...data };
-
-        Object.keys(sanitized).forEach(key => {
-            if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
-                sanitized[key] = '[REDACTED]';
-            }
-        });
-
-        return sanitized;
-    }
-
     _parseSize(size) {
         const units = {
             'b': 1,
@@ -0,0 +1,36 @@
+const BaseRouter = require('./BaseRouter');
+const DevOutbox = require('../utils/DevOutbox');
+
+class DevRoutes extends BaseRouter {
+    constructor() {
+        super();
+        this.outbox = DevOutbox.getInstance();
+        this._setupRoutes();
+    }
+
+    _setupRoutes() {
+        this.router.get('/outbox',
+            this.asyncHandler(this.getOutbox.bind(this))
+        );
+    }
+
+    async getOutbox(req, res) {
+        const { channel, to } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 50, DevOutbox.MAX_MEMORY_ENTRIES);
+
+        if (channel && !DevOutbox.CHANNELS.includes(channel)) {
+            return res.status(400).json(
+                this.errorResponse(`channel must be one of: ${DevOutbox.CHANNELS.join(', ')}`)
+            );
+        }
+
+        const messages = this.outbox.list({ channel, to, limit });
+
+        res.json(this.successResponse({
+            count: messages.length,
+            messages
+        }, 'Dev outbox retrieved successfully'));
+    }
+}
+
+module.exports = DevRoutes;
@@ -0,0 +1,76 @@
+const BaseRouter = require('./BaseRouter');
+const AccountController = require('../controllers/AccountController');
+
+class SecurityRoutes extends BaseRouter {
+    constructor() {
+        super();
+        this.accountController = new AccountController();
+        this._setupRoutes();
+    }
+
+    _setupDefaultMiddleware() {
+        if (process.env.NODE_ENV !== 'production') {
+            this.router.use(this.logRequest.bind(this));
+        }
+
+        this.router.use(this.validateContentType(['application/json', 'application/x-www-form-urlencoded']));
+    }
+
+    _setupRoutes() {
+        this.router.get('/freeze/:token',
+            this.asyncHandler(this.showFreezeConfirmation.bind(this))
+        );
+
+        this.router.post('/freeze/:token',
+            this.asyncHandler(this.freezeAccount.bind(this))
+        );
+    }
+
+    async showFreezeConfirmation(req, res) {
+        try {
+            const result = await this.accountController.getFreezeLink(req.params.token);
+
+            if (!this.respondsWithHtml(req)) {
+                return res.json(this.successResponse(result, 'Freeze link is valid'));
+            }
+
+            if (result.alreadyFrozen) {
+                return res.send(this.renderPage('Account frozen', 'Your Kachingko account is already frozen. Contact Kachingko support to restore access.'));
+            }
+
+            res.send(this.renderPage(
+                'Freeze your Kachingko account?',
+                'Freezing signs out every device and blocks logins and PIN resets until you contact Kachingko support. Only do this if you did not make the recent change to your account.',
+                { submitLabel: 'This wasn\'t me — freeze my account' }
+            ));
+        } catch (error) {
+            this._sendError(req, res, error);
+        }
+    }
+
+    async freezeAccount(req, res) {
+        try {
+            const result = await this.accountController.freezeAccount(req.params.token);
+
+            if (this.respondsWithHtml(req)) {
+                return res.send(this.renderPage('Account frozen', result.message));
+            }
+
+            res.json(this.successResponse(result, 'Account frozen'));
+        } catch (error) {
+            this._sendError(req, res, error);
+        }
+    }
+
+    _sendError(req, res, error) {
+        const statusCode = error.statusCode || 400;
+
+        if (this.respondsWithHtml(req)) {
+            return res.status(statusCode).send(this.renderPage('Link not available', error.message));
+        }
+
+        res.status(statusCode).json(this.errorResponse(error.message));
+    }
+}
+
+module.exports = SecurityRoutes;
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const BaseRouter = require('./BaseRouter');
+const WebhookController = require('../controllers/WebhookController');
+const logger = require('../utils/Logger');
+
+class WebhookRoutes extends BaseRouter {
+    constructor() {
+        super();
+        this.webhookController = new WebhookController();
+        this._setupRoutes();
+    }
+
+    _setupDefaultMiddleware() {
+        if (process.env.NODE_ENV !== 'production') {
+            this.router.use(this.logRequest.bind(this));
+        }
+
+        this.router.use(this.validateContentType(['application/json', 'application/x-www-form-urlencoded']));
+    }
+
+    _setupRoutes() {
+        this.router.post('/delivery/:provider',
+            this.verifySharedSecret.bind(this),
+            this.asyncHandler(this.handleDeliveryReport.bind(this))
+        );
+
+        this.router.post('/email/:provider',
+            this.verifySharedSecret.bind(this),
+            this.asyncHandler(this.handleEmailEvents.bind(this))
+        );
+    }
+
+    verifySharedSecret(req, res, next) {
+        const expected = process.env.DELIVERY_WEBHOOK_SECRET;
+
+        if (!expected) {
+            return res.status(503).json(this.errorResponse('Delivery webhooks are not configured'));
+        }
+
+        const provided = req.get('X-Webhook-Secret') || req.query.token || '';
+        const expectedBuffer = Buffer.from(expected);
+        const providedBuffer = Buffer.from(String(provided));
+
+        if (expectedBuffer.length !== providedBuffer.length || !crypto.timingSafeEqual(expectedBuffer, providedBuffer)) {
+            logger.warn(`[${this.routerName}] Rejected webhook with invalid secret`, {
+                provider: req.params.provider,
+                ip: req.ip
+            });
+            return res.status(401).json(this.errorResponse('Invalid webhook secret'));
+        }
+
+        next();
+    }
+
+    async handleDeliveryReport(req, res) {
+        try {
+            const result = await this.webhookController.handleDeliveryReport(req.params.provider, req.body);
+            res.json(this.successResponse(result, 'Delivery report processed'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+
+    async handleEmailEvents(req, res) {
+        try {
+            const result = await this.webhookController.handleEmailEvents(req.params.provider, req.body);
+            res.json(this.successResponse(result, 'Email events processed'));
+        } catch (error) {
+            res.status(error.statusCode || 400).json(this.errorResponse(error.message));
+        }
+    }
+}
+
+module.exports = WebhookRoutes;
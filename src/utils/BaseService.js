@@ -109,6 +109,14 @@ class BaseService {
         }
     }
 
+    isCircuitOpen() {
+        return this._circuitBreaker?.state === 'open';
+    }
+
+    getCircuitBreakerState() {
+        return this._circuitBreaker ? this._circuitBreaker.state : 'closed';
+    }
+
     validateConfiguration(requiredConfig = []) {
         const missingConfig = [];
 
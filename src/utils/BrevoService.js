@@ -1,12 +1,26 @@
 const BaseService = require('./BaseService');
+const OtpStore = require('./OtpStore');
+const SequelizeOtpStore = require('./SequelizeOtpStore');
+const FakeMailTransport = require('./FakeMailTransport');
+const OtpGenerator = require('./OtpGenerator');
+const MessageTrackingService = require('./MessageTrackingService');
+const EmailTemplateEngine = require('./EmailTemplateEngine');
+const EmailOutboxService = require('./EmailOutboxService');
+const EmailSuppressionService = require('./EmailSuppressionService');
+const OtpCode = require('../models/OtpCode');
 const nodemailer = require('nodemailer');
 
 class BrevoService extends BaseService {
-    constructor() {
+    constructor({ otpStore, messageTracker, templateEngine, outbox, suppressions } = {}) {
         super();
+        this.provider = process.env.EMAIL_PROVIDER || 'smtp';
         this.transporter = this._createTransporter();
-        this.fromEmail = process.env.SMTP_FROM;
-        this.emailCodes = new Map();
+        this.fromEmail = process.env.SMTP_FROM || (this._usesFakeTransport() ? 'Kachingko <no-reply@kachingko.local>' : undefined);
+        this.otpStore = otpStore || new SequelizeOtpStore();
+        this.messageTracker = messageTracker || new MessageTrackingService();
+        this.templates = templateEngine || new EmailTemplateEngine();
+        this.outbox = outbox || new EmailOutboxService({ emailService: this });
+        this.suppressions = suppressions || new EmailSuppressionService({ messageTracker: this.messageTracker });
         this._validateConfiguration();
         this.logInfo('Brevo email service initialized');
     }
@@ -28,74 +42,92 @@ class BrevoService extends BaseService {
         }
     }
 
-    async sendEmailOTP(email) {
+    async sendEmailOTP(email, { purpose, locale, verificationLink = null } = {}) {
+        await this.suppressions.assertNotSuppressed(email);
+
         return this.executeWithRetry(async () => {
             this.logInfo(`Generating and sending email OTP to ${email}`);
 
-            const otp = this._generateEmailOTP();
-            const expiresAt = Date.now() + (5 * 60 * 1000);
+            const otp = OtpGenerator.generate();
 
-            this._storeOTPCode(email, otp, expiresAt);
+            await this._storeOTPCode(email, otp, purpose);
 
-            const subject = 'Kachingko Email Verification Code';
-            const htmlContent = this._generateEmailTemplate(otp);
+            return await this._sendOTPEmail(email, otp, purpose, locale, verificationLink);
+        }, 3, 2000);
+    }
 
-            const result = await this._sendEmail(email, subject, htmlContent);
+    async deliverEmailOTP(email, code, { purpose = null, locale } = {}) {
+        await this.suppressions.assertNotSuppressed(email);
 
-            return {
-                status: 'pending',
-                to: email,
-                messageId: result.messageId
-            };
+        return this.executeWithRetry(async () => {
+            this.logInfo(`Sending email OTP to ${email}`);
+            return await this._sendOTPEmail(email, code, purpose, locale);
         }, 3, 2000);
     }
 
-    async verifyEmailOTP(email, code) {
+    async verifyEmailOTP(email, code, { purpose } = {}) {
         try {
             this.logInfo(`Verifying email OTP for ${email}`);
 
             this._validateInput({ email, code }, {
                 email: { required: true, type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
-                code: { required: true, type: 'string', minLength: 6, maxLength: 6 }
+                code: { required: true, type: 'string', minLength: OtpGenerator.MIN_LENGTH, maxLength: OtpGenerator.MAX_LENGTH }
             });
 
-            const storedData = this.emailCodes.get(email);
-            if (!storedData) {
-                return { status: 'expired', message: 'No verification code found or expired' };
-            }
-
-            if (this._isCodeExpired(storedData)) {
-                this._removeOTPCode(email);
-                return { status: 'expired', message: 'Verification code has expired' };
-            }
-
-            if (this._hasExceededAttempts(storedData)) {
-                this._removeOTPCode(email);
-                return { status: 'failed', message: 'Too many failed attempts' };
-            }
+            const result = await this.otpStore.verify('email', email, OtpGenerator.normalize(code), { purpose });
 
-            if (this._isCodeValid(storedData, code)) {
-                this._removeOTPCode(email);
+            if (result.status === 'approved') {
                 this.logInfo(`Email OTP verification successful for ${email}`);
                 return { status: 'approved', message: 'Email verified successfully' };
-            } else {
-                this._incrementAttempts(email, storedData);
-                return { status: 'failed', message: 'Invalid verification code' };
             }
+
+            return { status: result.status, message: OtpStore.describeFailure(result.reason) };
         } catch (error) {
             throw this.handleServiceError(error, 'Email OTP verification');
         }
     }
 
-    async sendWelcomeEmail(email, phoneNumber) {
+    async sendWelcomeEmail(email, phoneNumber, { locale } = {}) {
+        return await this.queueTemplateEmail(email, 'welcome', { email, phoneNumber }, { locale, tracking: { purpose: 'welcome' } });
+    }
+
+    async sendTemplateEmail(to, templateName, data = {}, { locale, tracking = {} } = {}) {
+        await this.suppressions.assertNotSuppressed(to);
+
         return this.executeWithRetry(async () => {
-            const subject = 'Welcome to Kachingko!';
-            const htmlContent = this._generateWelcomeTemplate(email, phoneNumber);
-            return await this._sendEmail(email, subject, htmlContent);
+            const { subject, html, text } = this.templates.render(templateName, data, { locale });
+            return await this._sendEmail(to, subject, html, text, tracking);
         }, 3, 1000);
     }
 
+    async queueTemplateEmail(to, templateName, data = {}, { locale, tracking = {} } = {}) {
+        const { subject, html, text } = this.templates.render(templateName, data, { locale });
+        return await this.queueEmail(to, subject, html, text, tracking);
+    }
+
+    async queueEmail(to, subject, htmlContent, textContent = null, tracking = {}) {
+        return await this.outbox.enqueue({
+            to,
+            subject,
+            html: htmlContent,
+            text: textContent || this._stripHtmlTags(htmlContent),
+            type: tracking.type || 'message',
+            purpose: tracking.purpose || null
+        });
+    }
+
+    async sendQueuedEmail(entry) {
+        await this.suppressions.assertNotSuppressed(entry.recipient);
+
+        return await this._sendEmail(entry.recipient, entry.subject, entry.html, entry.text, {
+            type: entry.type,
+            purpose: entry.purpose
+        });
+    }
+
     async sendCustomEmail(to, subject, htmlContent) {
+        await this.suppressions.assertNotSuppressed(to);
+
         return this.executeWithRetry(async () => {
             return await this._sendEmail(to, subject, htmlContent);
         }, 3, 1000);
@@ -109,16 +141,8 @@ class BrevoService extends BaseService {
         }, 10000);
     }
 
-    cleanupExpiredCodes() {
-        const now = Date.now();
-        let cleaned = 0;
-
-        for (const [email, data] of this.emailCodes.entries()) {
-            if (this._isCodeExpired(data, now)) {
-                this._removeOTPCode(email);
-                cleaned++;
-            }
-        }
+    async cleanupExpiredCodes() {
+        const cleaned = await this.otpStore.cleanupExpired('email');
 
         if (cleaned > 0) {
             this.logInfo(`Cleaned up ${cleaned} expired email OTP codes`);
@@ -127,28 +151,16 @@ class BrevoService extends BaseService {
         return cleaned;
     }
 
-    getActiveCodesCount() {
-        return this.emailCodes.size;
+    async getCooldownRemaining(email, { purpose } = {}) {
+        return await this.otpStore.getCooldownRemaining('email', email, { purpose });
     }
 
-    getCodeStats() {
-        const stats = {
-            activeCount: this.emailCodes.size,
-            expiredCount: 0,
-            highAttemptCount: 0
-        };
-
-        const now = Date.now();
-        for (const [email, data] of this.emailCodes.entries()) {
-            if (this._isCodeExpired(data, now)) {
-                stats.expiredCount++;
-            }
-            if (data.attempts >= 2) {
-                stats.highAttemptCount++;
-            }
-        }
+    async getActiveCodesCount() {
+        return await this.otpStore.countActive('email');
+    }
 
-        return stats;
+    async getCodeStats() {
+        return await this.otpStore.getStats('email');
     }
 
     async _performHealthCheck() {
@@ -156,7 +168,7 @@ class BrevoService extends BaseService {
             await this.testConnection();
             return {
                 smtp: 'connected',
-                activeCodes: this.getActiveCodesCount(),
+                activeCodes: await this.getActiveCodesCount(),
                 details: 'Email service is operational'
             };
         } catch (error) {
@@ -169,6 +181,10 @@ class BrevoService extends BaseService {
     }
 
     _createTransporter() {
+        if (this._usesFakeTransport()) {
+            return new FakeMailTransport(this.provider);
+        }
+
         const config = {
             host: process.env.SMTP_HOST,
             port: parseInt(process.env.SMTP_PORT) || 587,
@@ -185,7 +201,15 @@ class BrevoService extends BaseService {
         return nodemailer.createTransport(config);
     }
 
+    _usesFakeTransport() {
+        return FakeMailTransport.MODES.includes(this.provider);
+    }
+
     _validateConfiguration() {
+        if (this._usesFakeTransport()) {
+            return;
+        }
+
         const requiredConfig = [
             'SMTP_HOST',
             'SMTP_PORT',
@@ -209,41 +233,30 @@ class BrevoService extends BaseService {
         }
     }
 
-    _generateEmailOTP() {
-        return Math.floor(100000 + Math.random() * 900000).toString();
-    }
-
-    _storeOTPCode(email, code, expiresAt) {
-        this.emailCodes.set(email, {
-            code,
-            expiresAt,
-            attempts: 0,
-            createdAt: Date.now()
-        });
-    }
-
-    _removeOTPCode(email) {
-        this.emailCodes.delete(email);
-    }
-
-    _isCodeExpired(data, currentTime = Date.now()) {
-        return currentTime > data.expiresAt;
-    }
-
-    _hasExceededAttempts(data, maxAttempts = 3) {
-        return data.attempts >= maxAttempts;
+    async _storeOTPCode(email, code, purpose) {
+        return await this.otpStore.save('email', email, code, { purpose });
     }
 
-    _isCodeValid(data, inputCode) {
-        return data.code === inputCode.toString().trim();
-    }
-
-    _incrementAttempts(email, data) {
-        data.attempts++;
-        this.emailCodes.set(email, data);
+    async _sendOTPEmail(email, otp, purpose = null, locale = null, verificationLink = null) {
+        const { subject, html, text } = this.templates.render('otp', {
+            code: otp,
+            codeLength: otp.length,
+            expiresInMinutes: OtpCode.PURPOSES[purpose]?.ttlMinutes || OtpCode.DEFAULT_TTL_MINUTES,
+            verificationUrl: verificationLink?.url || null,
+            linkExpiresInMinutes: verificationLink?.expiresInMinutes
+        }, { locale });
+
+        const result = await this._sendEmail(email, subject, html, text, { type: 'otp', purpose });
+
+        return {
+            status: 'pending',
+            to: email,
+            messageId: result.messageId,
+            trackingId: result.trackingId
+        };
     }
 
-    async _sendEmail(to, subject, htmlContent, textContent = null) {
+    async _sendEmail(to, subject, htmlContent, textContent = null, tracking = {}) {
         try {
             this.logInfo(`Sending email to ${to} via Brevo`);
 
@@ -262,10 +275,26 @@ class BrevoService extends BaseService {
             };
 
             const result = await this.transporter.sendMail(mailOptions);
+            result.trackingId = await this.messageTracker.recordSent({
+                channel: 'email',
+                provider: this.provider,
+                providerMessageId: result.messageId,
+                recipient: mailOptions.to,
+                type: tracking.type || 'message',
+                purpose: tracking.purpose || null,
+                status: 'sent'
+            });
 
             this.logInfo(`Email sent successfully to ${to}`, { messageId: result.messageId });
             return result;
         } catch (error) {
+            if (error.responseCode === 550) {
+                await this.suppressions.suppress(to, {
+                    reason: 'invalid_email',
+                    provider: this.provider,
+                    detail: error.response
+                });
+            }
             if (error.responseCode) {
                 throw this._handleSmtpError(error);
             }
@@ -293,257 +322,6 @@ class BrevoService extends BaseService {
     _stripHtmlTags(html) {
         return html.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
     }
-
-    _generateEmailTemplate(otp) {
-        const currentYear = new Date().getFullYear();
-
-        return `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Kachingko Email Verification</title>
-            <style>
-                body {
-                    font-family: 'Segoe UI', Arial, sans-serif;
-                    line-height: 1.6;
-                    color: #333;
-                    max-width: 600px;
-                    margin: 0 auto;
-                    padding: 20px;
-                    background-color: #f5f5f5;
-                }
-                .email-container {
-                    background-color: #ffffff;
-                    border-radius: 10px;
-                    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-                    overflow: hidden;
-                }
-                .header {
-                    background: linear-gradient(135deg, #007bff, #0056b3);
-                    color: white;
-                    padding: 30px 20px;
-                    text-align: center;
-                }
-                .header h1 {
-                    margin: 0;
-                    font-size: 28px;
-                    font-weight: 600;
-                }
-                .content {
-                    padding: 40px 30px;
-                }
-                .otp-section {
-                    text-align: center;
-                    margin: 30px 0;
-                }
-                .otp-code {
-                    font-size: 36px;
-                    font-weight: bold;
-                    color: #007bff;
-                    letter-spacing: 8px;
-                    margin: 20px 0;
-                    padding: 20px;
-                    background: linear-gradient(135deg, #e3f2fd, #f8f9ff);
-                    border-radius: 12px;
-                    border: 2px solid #007bff;
-                    display: inline-block;
-                    min-width: 200px;
-                }
-                .warning {
-                    background-color: #fff8e1;
-                    color: #f57f17;
-                    padding: 20px;
-                    border-radius: 8px;
-                    margin: 25px 0;
-                    border-left: 4px solid #ffc107;
-                }
-                .warning strong {
-                    color: #e65100;
-                }
-                .info-box {
-                    background-color: #f0f8ff;
-                    padding: 20px;
-                    border-radius: 8px;
-                    margin: 20px 0;
-                    border-left: 4px solid #007bff;
-                }
-                .footer {
-                    background-color: #f8f9fa;
-                    text-align: center;
-                    padding: 25px;
-                    font-size: 14px;
-                    color: #6c757d;
-                    border-top: 1px solid #dee2e6;
-                }
-                .button {
-                    display: inline-block;
-                    padding: 12px 24px;
-                    background-color: #007bff;
-                    color: white;
-                    text-decoration: none;
-                    border-radius: 6px;
-                    font-weight: 500;
-                    margin: 10px 0;
-                }
-                @media (max-width: 600px) {
-                    body { padding: 10px; }
-                    .content { padding: 20px 15px; }
-                    .otp-code { font-size: 28px; letter-spacing: 4px; }
-                }
-            </style>
-        </head>
-        <body>
-            <div class="email-container">
-                <div class="header">
-                    <h1>🔐 Kachingko</h1>
-                    <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">Email Verification Required</p>
-                </div>
-                
-                <div class="content">
-                    <h2 style="color: #333; margin-bottom: 20px;">Verify Your Email Address</h2>
-                    <p>Hello,</p>
-                    <p>You've requested to verify your email address for your Kachingko account. Please use the verification code below to complete the process:</p>
-                    
-                    <div class="otp-section">
-                        <div class="otp-code">${otp}</div>
-                        <p style="color: #666; margin-top: 15px;"><strong>This code expires in 5 minutes</strong></p>
-                    </div>
-                    
-                    <div class="info-box">
-                        <p style="margin: 0;"><strong>📱 How to use this code:</strong></p>
-                        <p style="margin: 5px 0 0 0;">Enter this 6-digit code in the Kachingko app or website when prompted for email verification.</p>
-                    </div>
-                    
-                    <div class="warning">
-                        <strong>⚠️ Security Notice:</strong> Never share this verification code with anyone. Kachingko staff will never ask for this code via phone, email, or any other method.
-                    </div>
-                    
-                    <p>If you didn't request this verification, please ignore this email. If you have concerns about your account security, please contact our support team immediately.</p>
-                    
-                    <p style="margin-top: 30px;">
-                        Best regards,<br>
-                        <strong>The Kachingko Security Team</strong>
-                    </p>
-                </div>
-                
-                <div class="footer">
-                    <p style="margin: 0 0 10px 0;">This is an automated security message. Please do not reply to this email.</p>
-                    <p style="margin: 0;">&copy; ${currentYear} Kachingko. All rights reserved.</p>
-                </div>
-            </div>
-        </body>
-        </html>`;
-    }
-
-    _generateWelcomeTemplate(email, phoneNumber) {
-        const currentYear = new Date().getFullYear();
-
-        return `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Welcome to Kachingko!</title>
-            <style>
-                body {
-                    font-family: 'Segoe UI', Arial, sans-serif;
-                    line-height: 1.6;
-                    color: #333;
-                    max-width: 600px;
-                    margin: 0 auto;
-                    padding: 20px;
-                    background-color: #f5f5f5;
-                }
-                .email-container {
-                    background-color: #ffffff;
-                    border-radius: 10px;
-                    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-                    overflow: hidden;
-                }
-                .header {
-                    background: linear-gradient(135deg, #28a745, #20c997);
-                    color: white;
-                    padding: 40px 30px;
-                    text-align: center;
-                }
-                .content {
-                    padding: 40px 30px;
-                }
-                .success-badge {
-                    background-color: #d4edda;
-                    color: #155724;
-                    padding: 15px 20px;
-                    border-radius: 8px;
-                    text-align: center;
-                    margin: 20px 0;
-                    border: 1px solid #c3e6cb;
-                }
-                .account-details {
-                    background-color: #f8f9fa;
-                    padding: 20px;
-                    border-radius: 8px;
-                    margin: 20px 0;
-                    border-left: 4px solid #007bff;
-                }
-                .footer {
-                    background-color: #f8f9fa;
-                    text-align: center;
-                    padding: 25px;
-                    color: #6c757d;
-                    border-top: 1px solid #dee2e6;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="email-container">
-                <div class="header">
-                    <h1 style="margin: 0; font-size: 32px;">🎉 Welcome to Kachingko!</h1>
-                    <p style="margin: 15px 0 0 0; font-size: 18px; opacity: 0.9;">Your account is ready!</p>
-                </div>
-                
-                <div class="content">
-                    <div class="success-badge">
-                        <strong>✅ Email Verification Complete!</strong>
-                    </div>
-                    
-                    <h2 style="color: #333; margin-bottom: 20px;">Account Successfully Created</h2>
-                    
-                    <p>Congratulations! Your Kachingko account has been successfully created and your email has been verified.</p>
-                    
-                    <div class="account-details">
-                        <h3 style="margin-top: 0; color: #007bff;">Account Details</h3>
-                        <p><strong>📱 Phone Number:</strong> ${phoneNumber}</p>
-                        <p><strong>📧 Email Address:</strong> ${email}</p>
-                        <p><strong>🔒 Status:</strong> Fully Verified</p>
-                    </div>
-                    
-                    <h3>What's Next?</h3>
-                    <ul style="padding-left: 20px;">
-                        <li>Start exploring all Kachingko features</li>
-                        <li>Set up your preferences</li>
-                        <li>Begin using secure transactions</li>
-                        <li>Enjoy seamless digital payments</li>
-                    </ul>
-                    
-                    <p>If you have any questions or need assistance, our support team is here to help!</p>
-                    
-                    <p style="margin-top: 30px;">
-                        Welcome aboard!<br>
-                        <strong>The Kachingko Team</strong>
-                    </p>
-                </div>
-                
-                <div class="footer">
-                    <p style="margin: 0 0 10px 0;">Thank you for choosing Kachingko!</p>
-                    <p style="margin: 0;">&copy; ${currentYear} Kachingko. All rights reserved.</p>
-                </div>
-            </div>
-        </body>
-        </html>`;
-    }
 }
 
 module.exports = BrevoService;
\ No newline at end of file
@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./Logger');
+
+class DevOutbox {
+    static instance = null;
+    static CHANNELS = ['sms', 'email', 'voice'];
+    static MAX_MEMORY_ENTRIES = 500;
+
+    constructor(options = {}) {
+        if (DevOutbox.instance) {
+            return DevOutbox.instance;
+        }
+
+        this.spoolDir = options.spoolDir || process.env.DEV_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+        this.entries = [];
+
+        DevOutbox.instance = this;
+    }
+
+    static getInstance() {
+        if (!DevOutbox.instance) {
+            DevOutbox.instance = new DevOutbox();
+        }
+        return DevOutbox.instance;
+    }
+
+    record(channel, message, { spool = false } = {}) {
+        if (!DevOutbox.CHANNELS.includes(channel)) {
+            throw new Error(`Unknown outbox channel: ${channel}`);
+        }
+
+        const entry = {
+            id: crypto.randomUUID(),
+            channel,
+            ...message,
+            createdAt: new Date().toISOString()
+        };
+
+        if (spool) {
+            this._writeSpoolFile(entry);
+        } else {
+            this.entries.push(entry);
+            if (this.entries.length > DevOutbox.MAX_MEMORY_ENTRIES) {
+                this.entries.shift();
+            }
+        }
+
+        return entry;
+    }
+
+    list({ channel = null, to = null, limit = 50 } = {}) {
+        return [...this.entries, ...this._readSpoolFiles()]
+            .filter(entry => !channel || entry.channel === channel)
+            .filter(entry => !to || this._matchesRecipient(entry, to))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+            .slice(0, limit);
+    }
+
+    _matchesRecipient(entry, to) {
+        if (entry.channel !== 'email') {
+            const subscriberDigits = value => value.replace(/\D/g, '').slice(-10);
+            return subscriberDigits(entry.to) === subscriberDigits(to);
+        }
+
+        return entry.to.toLowerCase() === to.toLowerCase().trim();
+    }
+
+    _writeSpoolFile(entry) {
+        fs.mkdirSync(this.spoolDir, { recursive: true });
+
+        const fileName = `${entry.createdAt.replace(/[:.]/g, '-')}-${entry.channel}-${entry.id}.json`;
+        fs.writeFileSync(path.join(this.spoolDir, fileName), JSON.stringify(entry, null, 2));
+    }
+
+    _readSpoolFiles() {
+        if (!fs.existsSync(this.spoolDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.spoolDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(this.spoolDir, file), 'utf8'));
+                } catch (error) {
+                    logger.warn(`Skipping unreadable outbox file ${file}`, { error: error.message });
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+}
+
+module.exports = DevOutbox;
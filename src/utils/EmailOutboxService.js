@@ -0,0 +1,163 @@
+const BaseService = require('./BaseService');
+const EmailOutbox = require('../models/EmailOutbox');
+
+class EmailOutboxService extends BaseService {
+    static DEFAULT_MAX_ATTEMPTS = 5;
+    static DEFAULT_RETRY_BASE_SECONDS = 30;
+    static DEFAULT_RETRY_MAX_SECONDS = 60 * 60;
+    static DEFAULT_POLL_SECONDS = 15;
+    static DEFAULT_BATCH_SIZE = 20;
+    static DEFAULT_RETENTION_DAYS = 30;
+    static STALE_SENDING_MS = 10 * 60 * 1000;
+    static MAX_LIST_LIMIT = 200;
+
+    constructor({ emailService } = {}) {
+        super();
+        this.emailService = emailService;
+        this.maxAttempts = parseInt(process.env.EMAIL_OUTBOX_MAX_ATTEMPTS) || EmailOutboxService.DEFAULT_MAX_ATTEMPTS;
+        this.retryBaseSeconds = parseInt(process.env.EMAIL_OUTBOX_RETRY_BASE_SECONDS) || EmailOutboxService.DEFAULT_RETRY_BASE_SECONDS;
+        this.retryMaxSeconds = parseInt(process.env.EMAIL_OUTBOX_RETRY_MAX_SECONDS) || EmailOutboxService.DEFAULT_RETRY_MAX_SECONDS;
+        this.pollSeconds = parseInt(process.env.EMAIL_OUTBOX_POLL_SECONDS) || EmailOutboxService.DEFAULT_POLL_SECONDS;
+        this.batchSize = parseInt(process.env.EMAIL_OUTBOX_BATCH_SIZE) || EmailOutboxService.DEFAULT_BATCH_SIZE;
+        this.retentionDays = parseInt(process.env.EMAIL_OUTBOX_RETENTION_DAYS) || EmailOutboxService.DEFAULT_RETENTION_DAYS;
+        this.isProcessing = false;
+    }
+
+    async enqueue({ to, subject, html, text = null, type = 'message', purpose = null }) {
+        this._validateInput({ to, subject, html }, {
+            to: { required: true, type: 'string', pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/ },
+            subject: { required: true, type: 'string', minLength: 1 },
+            html: { required: true, type: 'string', minLength: 1 }
+        });
+
+        const entry = await EmailOutbox.create({
+            recipient: to.toLowerCase().trim(),
+            subject,
+            html,
+            text,
+            type,
+            purpose,
+            maxAttempts: this.maxAttempts
+        });
+
+        this.logInfo(`Email to ${entry.recipient} queued in outbox`, { outboxId: entry.id, purpose });
+        return entry.toAdminJSON();
+    }
+
+    async processDue() {
+        const summary = { sent: 0, retrying: 0, dead: 0, suppressed: 0 };
+
+        if (this.isProcessing) {
+            return summary;
+        }
+
+        this.isProcessing = true;
+        try {
+            const released = await EmailOutbox.releaseStale(EmailOutboxService.STALE_SENDING_MS);
+            if (released > 0) {
+                this.logWarn(`Released ${released} outbox emails stuck in sending`);
+            }
+
+            const due = await EmailOutbox.findDue(this.batchSize);
+            for (const entry of due) {
+                if (!(await entry.claim())) {
+                    continue;
+                }
+
+                summary[await this._deliver(entry)] += 1;
+            }
+        } finally {
+            this.isProcessing = false;
+        }
+
+        return summary;
+    }
+
+    async list({ status = 'dead', limit = 50 } = {}) {
+        if (!EmailOutbox.STATUSES.includes(status)) {
+            throw this._createOutboxError(`Invalid status. Must be one of: ${EmailOutbox.STATUSES.join(', ')}`, 400);
+        }
+
+        const boundedLimit = Math.min(Math.max(parseInt(limit) || 50, 1), EmailOutboxService.MAX_LIST_LIMIT);
+        const entries = await EmailOutbox.findByStatus(status, boundedLimit);
+        return entries.map(entry => entry.toAdminJSON());
+    }
+
+    async replay(id) {
+        const entry = await EmailOutbox.findByPk(id);
+        if (!entry) {
+            throw this._createOutboxError('Outbox email not found', 404);
+        }
+
+        if (entry.status !== 'dead') {
+            throw this._createOutboxError(`Only dead-lettered emails can be replayed (status is ${entry.status})`, 409);
+        }
+
+        await entry.replay();
+        this.logInfo(`Outbox email ${entry.id} to ${entry.recipient} queued for replay`);
+        return entry.toAdminJSON();
+    }
+
+    async replayDead() {
+        const [replayed] = await EmailOutbox.update(
+            { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lastError: null },
+            { where: { status: 'dead' } }
+        );
+
+        if (replayed > 0) {
+            this.logInfo(`Queued ${replayed} dead-lettered outbox emails for replay`);
+        }
+
+        return replayed;
+    }
+
+    async cleanupSent() {
+        const cleaned = await EmailOutbox.cleanupSentOlderThan(this.retentionDays);
+
+        if (cleaned > 0) {
+            this.logInfo(`Cleaned up ${cleaned} sent outbox emails older than ${this.retentionDays} days`);
+        }
+
+        return cleaned;
+    }
+
+    getRetryDelayMs(attempt) {
+        const delaySeconds = Math.min(this.retryBaseSeconds * Math.pow(2, attempt - 1), this.retryMaxSeconds);
+        return delaySeconds * 1000;
+    }
+
+    async _deliver(entry) {
+        try {
+            const result = await this.emailService.sendQueuedEmail(entry);
+            await entry.markSent(result.trackingId || null);
+            return 'sent';
+        } catch (error) {
+            if (error.code === 'EMAIL_SUPPRESSED') {
+                await entry.markSuppressed(error.message);
+                this.logInfo(`Outbox email ${entry.id} to ${entry.recipient} skipped - recipient is suppressed`);
+                return 'suppressed';
+            }
+
+            await entry.markFailed(error.message, this.getRetryDelayMs(entry.attempts + 1));
+
+            if (entry.status === 'dead') {
+                this.logError(`Outbox email ${entry.id} to ${entry.recipient} moved to dead-letter after ${entry.attempts} attempts`, error);
+                return 'dead';
+            }
+
+            this.logWarn(`Outbox email ${entry.id} to ${entry.recipient} failed - retrying at ${entry.nextAttemptAt.toISOString()}`, {
+                attempt: entry.attempts,
+                error: error.message
+            });
+            return 'retrying';
+        }
+    }
+
+    _createOutboxError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+module.exports = EmailOutboxService;
@@ -0,0 +1,141 @@
+const BaseService = require('./BaseService');
+const MessageTrackingService = require('./MessageTrackingService');
+const EmailSuppression = require('../models/EmailSuppression');
+const Account = require('../models/Account');
+
+class EmailSuppressionService extends BaseService {
+    static MAX_LIST_LIMIT = 200;
+    static EVENT_PARSERS = {
+        brevo: payload => ({
+            event: payload.event,
+            email: payload.email,
+            providerMessageId: payload['message-id'] || null,
+            detail: payload.reason || null,
+            trackingProvider: 'smtp'
+        }),
+        console: payload => EmailSuppressionService._parseGenericEvent(payload, 'console'),
+        file: payload => EmailSuppressionService._parseGenericEvent(payload, 'file')
+    };
+    static EVENT_EFFECTS = {
+        hard_bounce: { suppress: 'hard_bounce', status: 'undelivered' },
+        invalid_email: { suppress: 'invalid_email', status: 'undelivered' },
+        blocked: { suppress: 'blocked', status: 'undelivered' },
+        spam: { suppress: 'complaint', status: null },
+        soft_bounce: { suppress: null, status: null },
+        delivered: { suppress: null, status: 'delivered' },
+        error: { suppress: null, status: 'failed' }
+    };
+
+    constructor({ messageTracker } = {}) {
+        super();
+        this.messageTracker = messageTracker || new MessageTrackingService();
+    }
+
+    async applyProviderEvent(provider, payload) {
+        const parser = EmailSuppressionService.EVENT_PARSERS[provider];
+        if (!parser) {
+            throw this._createSuppressionError(`Unsupported email event provider: ${provider}`, 404);
+        }
+
+        const event = parser(payload || {});
+        if (!event.event || !event.email) {
+            throw this._createSuppressionError('Email event is missing an event type or recipient', 400);
+        }
+
+        const eventType = String(event.event).toLowerCase();
+        const effect = EmailSuppressionService.EVENT_EFFECTS[eventType];
+        if (!effect) {
+            this.logDebug(`Ignoring ${provider} email event ${eventType}`);
+            return { event: eventType, ignored: true, suppressed: false, trackingUpdated: false };
+        }
+
+        let trackingUpdated = false;
+        if (effect.status && event.providerMessageId) {
+            const result = await this.messageTracker.applyStatusUpdate(
+                event.trackingProvider,
+                event.providerMessageId,
+                effect.status,
+                event.detail || eventType
+            );
+            trackingUpdated = result.updated;
+        }
+
+        if (effect.suppress) {
+            await this.suppress(event.email, {
+                reason: effect.suppress,
+                provider,
+                detail: event.detail,
+                providerMessageId: event.providerMessageId
+            });
+        }
+
+        return { event: eventType, ignored: false, suppressed: !!effect.suppress, trackingUpdated };
+    }
+
+    async suppress(email, { reason, provider, detail = null, providerMessageId = null }) {
+        const entry = await EmailSuppression.suppress(email, { reason, provider, detail, providerMessageId });
+        const accounts = await Account.updateEmailDeliveryStatus(entry.email, reason === 'complaint' ? 'complained' : 'bounced');
+
+        this.logWarn(`Email address ${entry.email} suppressed after ${reason}`, {
+            provider,
+            detail: entry.detail,
+            accounts
+        });
+
+        return entry.toAdminJSON();
+    }
+
+    async isSuppressed(email) {
+        return await EmailSuppression.isSuppressed(email);
+    }
+
+    async assertNotSuppressed(email) {
+        if (await this.isSuppressed(email)) {
+            throw this._createSuppressionError(
+                'This email address cannot receive messages because earlier emails bounced or were reported as spam. Please use a different address.',
+                422,
+                'EMAIL_SUPPRESSED'
+            );
+        }
+    }
+
+    async list({ limit = 50 } = {}) {
+        const boundedLimit = Math.min(Math.max(parseInt(limit) || 50, 1), EmailSuppressionService.MAX_LIST_LIMIT);
+        const entries = await EmailSuppression.findRecent(boundedLimit);
+        return entries.map(entry => entry.toAdminJSON());
+    }
+
+    async remove(email) {
+        const entry = await EmailSuppression.findByEmail(email);
+        if (!entry) {
+            throw this._createSuppressionError('Email address is not suppressed', 404);
+        }
+
+        await entry.destroy();
+        const accounts = await Account.updateEmailDeliveryStatus(entry.email, 'deliverable');
+        this.logInfo(`Email address ${entry.email} removed from the suppression list`, { accounts });
+
+        return entry.toAdminJSON();
+    }
+
+    static _parseGenericEvent(payload, provider) {
+        return {
+            event: payload.event,
+            email: payload.email,
+            providerMessageId: payload.messageId || null,
+            detail: payload.reason || null,
+            trackingProvider: provider
+        };
+    }
+
+    _createSuppressionError(message, statusCode, code = null) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        if (code) {
+            error.code = code;
+        }
+        return error;
+    }
+}
+
+module.exports = EmailSuppressionService;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+
+class EmailTemplateEngine {
+    static LOCALES = ['en', 'fil', 'ceb'];
+    static DEFAULT_LOCALE = 'en';
+    static DEFAULT_LAYOUT = 'default';
+    static TEMPLATES_DIR = path.join(__dirname, '..', 'templates', 'email');
+    static MAX_PARTIAL_DEPTH = 5;
+    static HTML_ESCAPES = {
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+    };
+
+    constructor({ templatesDir, cache } = {}) {
+        this.templatesDir = templatesDir || EmailTemplateEngine.TEMPLATES_DIR;
+        this.cacheEnabled = cache !== undefined ? cache : process.env.NODE_ENV === 'production';
+        this.cache = new Map();
+    }
+
+    static resolveLocale(locale) {
+        return EmailTemplateEngine.LOCALES.includes(locale) ? locale : EmailTemplateEngine.DEFAULT_LOCALE;
+    }
+
+    static escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => EmailTemplateEngine.HTML_ESCAPES[char]);
+    }
+
+    render(name, data = {}, { locale, layout = EmailTemplateEngine.DEFAULT_LAYOUT } = {}) {
+        const resolvedLocale = EmailTemplateEngine.resolveLocale(locale);
+        const context = {
+            year: new Date().getFullYear(),
+            ...data,
+            locale: resolvedLocale
+        };
+
+        const subject = this._renderFile(`${name}.subject`, 'txt', context, resolvedLocale).trim();
+        const pageContext = { ...context, subject };
+
+        return {
+            locale: resolvedLocale,
+            subject,
+            html: this._renderWithLayout(name, 'html', pageContext, resolvedLocale, layout),
+            text: this._renderWithLayout(name, 'txt', pageContext, resolvedLocale, layout)
+        };
+    }
+
+    _renderWithLayout(name, format, context, locale, layout) {
+        const body = this._renderFile(name, format, context, locale).trimEnd();
+        if (!layout) {
+            return body;
+        }
+
+        const source = this._readTemplate([path.join('layouts', `${layout}.${format}`)]);
+        return this._renderString(source, { ...context, body }, format, locale).trim() + '\n';
+    }
+
+    _renderFile(name, format, context, locale) {
+        const source = this._readTemplate(this._localizedPaths(`${name}.${format}`, locale));
+        return this._renderString(source, context, format, locale);
+    }
+
+    _renderString(source, context, format, locale) {
+        const expanded = this._expandPartials(source, format, locale);
+
+        const withConditionals = expanded.replace(
+            /\{\{#if\s+([\w.]+)\s*\}\}([\s\S]*?)(?:\{\{else\}\}([\s\S]*?))?\{\{\/if\}\}/g,
+            (match, key, whenTrue, whenFalse = '') => (this._lookup(context, key) ? whenTrue : whenFalse)
+        );
+
+        return withConditionals.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g, (match, rawKey, escapedKey) => {
+            const value = this._stringify(this._lookup(context, rawKey || escapedKey));
+            return escapedKey && format === 'html' ? EmailTemplateEngine.escapeHtml(value) : value;
+        });
+    }
+
+    _expandPartials(source, format, locale, depth = 0) {
+        if (depth > EmailTemplateEngine.MAX_PARTIAL_DEPTH) {
+            throw new Error('Email template partials are nested too deeply');
+        }
+
+        return source.replace(/\{\{>\s*([\w-]+)\s*\}\}/g, (match, partialName) => {
+            const partial = this._readTemplate([
+                ...this._localizedPaths(path.join('partials', `${partialName}.${format}`), locale),
+                path.join('partials', `${partialName}.${format}`)
+            ]);
+            return this._expandPartials(partial.replace(/\r?\n$/, ''), format, locale, depth + 1);
+        });
+    }
+
+    _localizedPaths(fileName, locale) {
+        const paths = [path.join(locale, fileName)];
+        if (locale !== EmailTemplateEngine.DEFAULT_LOCALE) {
+            paths.push(path.join(EmailTemplateEngine.DEFAULT_LOCALE, fileName));
+        }
+        return paths;
+    }
+
+    _readTemplate(candidates) {
+        for (const candidate of candidates) {
+            const fullPath = path.join(this.templatesDir, candidate);
+
+            if (this.cacheEnabled && this.cache.has(fullPath)) {
+                return this.cache.get(fullPath);
+            }
+
+            if (fs.existsSync(fullPath)) {
+                const source = fs.readFileSync(fullPath, 'utf8');
+                if (this.cacheEnabled) {
+                    this.cache.set(fullPath, source);
+                }
+                return source;
+            }
+        }
+
+        throw new Error(`Email template not found: ${candidates[0]}`);
+    }
+
+    _lookup(context, key) {
+        return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), context);
+    }
+
+    _stringify(value) {
+        return value === null || value === undefined ? '' : String(value);
+    }
+}
+
+module.exports = EmailTemplateEngine;
@@ -0,0 +1,48 @@
+const DevOutbox = require('./DevOutbox');
+const logger = require('./Logger');
+
+class FakeMailTransport {
+    static MODES = ['console', 'file'];
+
+    constructor(mode = 'console') {
+        if (!FakeMailTransport.MODES.includes(mode)) {
+            throw new Error(`FakeMailTransport configuration error: unknown mode ${mode}`);
+        }
+
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('FakeMailTransport configuration error: fake email providers cannot be used in production');
+        }
+
+        this.mode = mode;
+        this.outbox = DevOutbox.getInstance();
+    }
+
+    async sendMail(mailOptions) {
+        const entry = this.outbox.record('email', {
+            provider: this.mode,
+            from: mailOptions.from,
+            to: mailOptions.to,
+            subject: mailOptions.subject,
+            body: mailOptions.text,
+            html: mailOptions.html
+        }, { spool: this.mode === 'file' });
+
+        if (this.mode === 'console') {
+            console.log(`[DEV EMAIL] To: ${mailOptions.to}\nSubject: ${mailOptions.subject}\n${mailOptions.text}`);
+        }
+
+        logger.info(`Email recorded in dev outbox for ${mailOptions.to}`, { messageId: entry.id });
+
+        return {
+            messageId: `<${entry.id}@dev-outbox>`,
+            accepted: [mailOptions.to],
+            rejected: []
+        };
+    }
+
+    async verify() {
+        return true;
+    }
+}
+
+module.exports = FakeMailTransport;
@@ -0,0 +1,93 @@
+const SmsProvider = require('./SmsProvider');
+const DevOutbox = require('./DevOutbox');
+
+class FakeSmsProvider extends SmsProvider {
+    static MODES = ['console', 'file'];
+
+    constructor(mode = 'console') {
+        super(mode);
+        this.mode = mode;
+        this.outbox = DevOutbox.getInstance();
+        this._validateConfiguration();
+        this.logInfo(`Fake ${mode} SMS provider initialized - messages will not be delivered`);
+    }
+
+    async sendCustomOTP(phoneNumber, code) {
+        return this._withCircuitBreaker(async () => {
+            this._validateInput({ phoneNumber, code }, {
+                phoneNumber: { required: true, type: 'string', pattern: SmsProvider.PHONE_PATTERN },
+                code: this._otpValidationRule()
+            });
+
+            const entry = this._deliver(phoneNumber, this._formatOtpMessage(code), { type: 'otp', code });
+
+            return {
+                provider: this.providerName,
+                status: 'pending',
+                to: phoneNumber,
+                messageId: entry.id
+            };
+        });
+    }
+
+    async sendSms(to, message) {
+        return this._withCircuitBreaker(async () => {
+            this._validateInput({ to, message }, {
+                to: { required: true, type: 'string', pattern: SmsProvider.PHONE_PATTERN },
+                message: { required: true, type: 'string', minLength: 1, maxLength: 160 }
+            });
+
+            const entry = this._deliver(to, message, { type: 'message' });
+
+            return {
+                provider: this.providerName,
+                messageId: entry.id,
+                status: 'sent',
+                cost: 0
+            };
+        });
+    }
+
+    async getBalance() {
+        return {
+            balance: null,
+            credits: null,
+            currency: null
+        };
+    }
+
+    async _performHealthCheck() {
+        return {
+            sms: 'connected',
+            details: `Fake ${this.mode} SMS provider - messages are recorded in the dev outbox`
+        };
+    }
+
+    _validateConfiguration() {
+        if (!FakeSmsProvider.MODES.includes(this.mode)) {
+            throw new Error(`FakeSmsProvider configuration error: unknown mode ${this.mode}`);
+        }
+
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('FakeSmsProvider configuration error: fake SMS providers cannot be used in production');
+        }
+    }
+
+    _deliver(to, body, details) {
+        const entry = this.outbox.record('sms', {
+            provider: this.providerName,
+            to,
+            body,
+            ...details
+        }, { spool: this.mode === 'file' });
+
+        if (this.mode === 'console') {
+            console.log(`[DEV SMS] To: ${to}\n${body}`);
+        }
+
+        this.logInfo(`SMS recorded in dev outbox for ${to}`, { messageId: entry.id, type: details.type });
+        return entry;
+    }
+}
+
+module.exports = FakeSmsProvider;
@@ -0,0 +1,63 @@
+const VoiceProvider = require('./VoiceProvider');
+const DevOutbox = require('./DevOutbox');
+const OtpGenerator = require('./OtpGenerator');
+
+class FakeVoiceProvider extends VoiceProvider {
+    static MODES = ['console', 'file'];
+
+    constructor(mode = 'console') {
+        super(mode);
+        this.mode = mode;
+        this.outbox = DevOutbox.getInstance();
+        this._validateConfiguration();
+        this.logInfo(`Fake ${mode} voice provider initialized - calls will not be placed`);
+    }
+
+    async callWithOTP(phoneNumber, code) {
+        this._validateInput({ phoneNumber, code }, {
+            phoneNumber: { required: true, type: 'string', pattern: VoiceProvider.PHONE_PATTERN },
+            code: { required: true, type: 'string', minLength: OtpGenerator.MIN_LENGTH, maxLength: OtpGenerator.MAX_LENGTH }
+        });
+
+        const body = this._formatOtpScript(code);
+        const entry = this.outbox.record('voice', {
+            provider: this.providerName,
+            to: phoneNumber,
+            body,
+            type: 'otp',
+            code
+        }, { spool: this.mode === 'file' });
+
+        if (this.mode === 'console') {
+            console.log(`[DEV VOICE] Calling: ${phoneNumber}\n${body}`);
+        }
+
+        this.logInfo(`Voice call recorded in dev outbox for ${phoneNumber}`, { callId: entry.id });
+
+        return {
+            provider: this.providerName,
+            status: 'pending',
+            to: phoneNumber,
+            callId: entry.id
+        };
+    }
+
+    async _performHealthCheck() {
+        return {
+            voice: 'connected',
+            details: `Fake ${this.mode} voice provider - calls are recorded in the dev outbox`
+        };
+    }
+
+    _validateConfiguration() {
+        if (!FakeVoiceProvider.MODES.includes(this.mode)) {
+            throw new Error(`FakeVoiceProvider configuration error: unknown mode ${this.mode}`);
+        }
+
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('FakeVoiceProvider configuration error: fake voice providers cannot be used in production');
+        }
+    }
+}
+
+module.exports = FakeVoiceProvider;
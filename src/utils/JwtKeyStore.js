@@ -0,0 +1,259 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./Logger');
+
+class JwtKeyStore {
+    static instance = null;
+    static SUPPORTED_ALGORITHMS = ['RS256', 'ES256'];
+    static KID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+    constructor(options = {}) {
+        if (JwtKeyStore.instance) {
+            return JwtKeyStore.instance;
+        }
+
+        this.algorithm = options.algorithm || process.env.JWT_ALGORITHM || 'RS256';
+        this.keysDir = options.keysDir || process.env.JWT_KEYS_DIR || path.join(process.cwd(), 'keys');
+        this.rotationDays = parseInt(options.rotationDays || process.env.JWT_KEY_ROTATION_DAYS) || 30;
+        this.retentionDays = parseInt(options.retentionDays || process.env.JWT_KEY_RETENTION_DAYS) || 7;
+        this.keys = new Map();
+        this.ownKids = new Set();
+        this.activeKid = null;
+
+        this._validateAlgorithm();
+        this._loadKeys();
+        this.rotateIfDue();
+
+        JwtKeyStore.instance = this;
+    }
+
+    static getInstance() {
+        if (!JwtKeyStore.instance) {
+            JwtKeyStore.instance = new JwtKeyStore();
+        }
+        return JwtKeyStore.instance;
+    }
+
+    getSigningKey() {
+        this.rotateIfDue();
+
+        const key = this.keys.get(this.activeKid);
+        return {
+            kid: key.kid,
+            algorithm: key.algorithm,
+            privateKey: key.privateKey
+        };
+    }
+
+    getVerificationKey(kid) {
+        if (!this.keys.has(kid)) {
+            this._loadKeyFile(kid);
+        }
+
+        const key = this.keys.get(kid);
+        if (!key || this._isPastRetention(key)) {
+            return null;
+        }
+
+        return {
+            kid: key.kid,
+            algorithm: key.algorithm,
+            publicKey: key.publicKey
+        };
+    }
+
+    getPublicJwks() {
+        this.reload();
+        this.rotateIfDue();
+
+        const keys = Array.from(this.keys.values())
+            .filter(key => !this._isPastRetention(key))
+            .map(key => ({
+                ...crypto.createPublicKey(key.publicKey).export({ format: 'jwk' }),
+                kid: key.kid,
+                alg: key.algorithm,
+                use: 'sig'
+            }));
+
+        return { keys };
+    }
+
+    rotateIfDue() {
+        const activeKey = this.keys.get(this.activeKid);
+        if (activeKey && !activeKey.retiredAt && !this._isRotationDue(activeKey)) {
+            return false;
+        }
+
+        this.rotate();
+        return true;
+    }
+
+    rotate() {
+        const previousKey = this.keys.get(this.activeKid);
+        if (previousKey && this.ownKids.has(previousKey.kid)) {
+            previousKey.retiredAt = new Date().toISOString();
+            this._writeKey(previousKey);
+        }
+
+        const newKey = this._generateKey();
+        this._writeKey(newKey);
+        this.keys.set(newKey.kid, newKey);
+        this.ownKids.add(newKey.kid);
+        this.activeKid = newKey.kid;
+
+        this._pruneRetiredKeys();
+        logger.info(`[JwtKeyStore] Rotated JWT signing key - active kid: ${newKey.kid}`);
+
+        return newKey.kid;
+    }
+
+    reload() {
+        const diskKeys = this._readKeyFiles();
+
+        for (const kid of Array.from(this.keys.keys())) {
+            if (!diskKeys.has(kid) && kid !== this.activeKid) {
+                this.keys.delete(kid);
+            }
+        }
+
+        for (const [kid, key] of diskKeys) {
+            this.keys.set(kid, key);
+        }
+
+        this._pruneRetiredKeys();
+    }
+
+    getStatus() {
+        const activeKey = this.keys.get(this.activeKid);
+        return {
+            algorithm: this.algorithm,
+            activeKid: this.activeKid,
+            activeSince: activeKey ? activeKey.createdAt : null,
+            verificationKeys: this.keys.size,
+            rotationDays: this.rotationDays,
+            retentionDays: this.retentionDays
+        };
+    }
+
+    _validateAlgorithm() {
+        if (!JwtKeyStore.SUPPORTED_ALGORITHMS.includes(this.algorithm)) {
+            throw new Error(`Unsupported JWT key algorithm: ${this.algorithm}. Use one of: ${JwtKeyStore.SUPPORTED_ALGORITHMS.join(', ')}`);
+        }
+    }
+
+    _loadKeys() {
+        try {
+            if (!fs.existsSync(this.keysDir)) {
+                fs.mkdirSync(this.keysDir, { recursive: true, mode: 0o700 });
+            }
+
+            this.keys = this._readKeyFiles();
+        } catch (error) {
+            logger.error('[JwtKeyStore] Failed to load JWT keys:', error);
+            throw new Error(`JWT key store initialization failed: ${error.message}`);
+        }
+
+        const activeKey = Array.from(this.keys.values())
+            .filter(key => !key.retiredAt && key.algorithm === this.algorithm)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+        this.activeKid = activeKey ? activeKey.kid : null;
+        this._pruneRetiredKeys();
+    }
+
+    _readKeyFiles() {
+        const keys = new Map();
+        const files = fs.readdirSync(this.keysDir).filter(file => file.endsWith('.json'));
+
+        for (const file of files) {
+            try {
+                const key = JSON.parse(fs.readFileSync(path.join(this.keysDir, file), 'utf8'));
+                keys.set(key.kid, key);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.warn(`[JwtKeyStore] Skipping unreadable JWT key file ${file}: ${error.message}`);
+                }
+            }
+        }
+
+        return keys;
+    }
+
+    _generateKey() {
+        const keyPair = this.algorithm === 'ES256'
+            ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+            : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+        return {
+            kid: crypto.randomUUID(),
+            algorithm: this.algorithm,
+            createdAt: new Date().toISOString(),
+            retiredAt: null,
+            privateKey: keyPair.privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            publicKey: keyPair.publicKey.export({ type: 'spki', format: 'pem' })
+        };
+    }
+
+    _loadKeyFile(kid) {
+        if (typeof kid !== 'string' || !JwtKeyStore.KID_PATTERN.test(kid)) {
+            return;
+        }
+
+        try {
+            const key = JSON.parse(fs.readFileSync(path.join(this.keysDir, `${kid}.json`), 'utf8'));
+            if (key.kid === kid) {
+                this.keys.set(kid, key);
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn(`[JwtKeyStore] Failed to load JWT key ${kid}: ${error.message}`);
+            }
+        }
+    }
+
+    _writeKey(key) {
+        const filePath = path.join(this.keysDir, `${key.kid}.json`);
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(key, null, 2), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tempPath, filePath);
+    }
+
+    _pruneRetiredKeys() {
+        for (const key of Array.from(this.keys.values())) {
+            if (!this._isPastRetention(key) || key.kid === this.activeKid) {
+                continue;
+            }
+
+            this.keys.delete(key.kid);
+            this.ownKids.delete(key.kid);
+            try {
+                fs.unlinkSync(path.join(this.keysDir, `${key.kid}.json`));
+                logger.info(`[JwtKeyStore] Removed retired JWT key ${key.kid}`);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    logger.error(`[JwtKeyStore] Failed to remove retired JWT key ${key.kid}:`, error);
+                }
+            }
+        }
+    }
+
+    _isRotationDue(key) {
+        const ageMs = Date.now() - new Date(key.createdAt).getTime();
+        return ageMs >= this.rotationDays * 24 * 60 * 60 * 1000;
+    }
+
+    _isPastRetention(key) {
+        const dayMs = 24 * 60 * 60 * 1000;
+
+        if (!key.retiredAt) {
+            const ageMs = Date.now() - new Date(key.createdAt).getTime();
+            return ageMs >= (this.rotationDays + this.retentionDays) * dayMs;
+        }
+
+        const retiredMs = Date.now() - new Date(key.retiredAt).getTime();
+        return retiredMs >= this.retentionDays * dayMs;
+    }
+}
+
+module.exports = JwtKeyStore;
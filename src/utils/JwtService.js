@@ -1,13 +1,20 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const BaseService = require('./BaseService');
+const JwtKeyStore = require('./JwtKeyStore');
 
 class JwtService extends BaseService {
+    static EMAIL_VERIFICATION_TOKEN_MINUTES = 60;
+
     constructor() {
         super();
         this.secret = process.env.JWT_SECRET || 'fallback_secret_key_change_in_production';
-        this.expiresIn = process.env.JWT_EXPIRES_IN || '24h';
+        this.expiresIn = process.env.JWT_EXPIRES_IN || '15m';
         this.issuer = process.env.JWT_ISSUER || 'kachingko-backend';
         this.audience = process.env.JWT_AUDIENCE || 'kachingko-app';
+        this.algorithm = process.env.JWT_ALGORITHM || 'HS256';
+        this.acceptHmacTokens = this.algorithm === 'HS256' || Boolean(process.env.JWT_SECRET);
+        this.keyStore = this.algorithm === 'HS256' ? null : JwtKeyStore.getInstance();
         this._validateConfiguration();
     }
 
@@ -32,14 +39,7 @@ class JwtService extends BaseService {
                 jti: this._generateJwtId()
             };
 
-            const options = {
-                expiresIn: this.expiresIn,
-                issuer: this.issuer,
-                audience: this.audience,
-                algorithm: 'HS256'
-            };
-
-            const token = jwt.sign(tokenPayload, this.secret, options);
+            const token = this._signToken(tokenPayload, this.expiresIn);
 
             this.logInfo('JWT token generated successfully', {
                 userId: payload.phoneNumber,
@@ -55,13 +55,7 @@ class JwtService extends BaseService {
         try {
             this._validateTokenFormat(token);
 
-            const options = {
-                issuer: this.issuer,
-                audience: this.audience,
-                algorithms: ['HS256']
-            };
-
-            const decoded = jwt.verify(token, this.secret, options);
+            const decoded = this._verifySignature(token);
 
             this._validateTokenClaims(decoded);
 
@@ -76,6 +70,10 @@ class JwtService extends BaseService {
         }
     }
 
+    verifyPasswordResetToken(token) {
+        return this._verifyTypedToken(token, 'password_reset');
+    }
+
     refreshToken(token) {
         try {
             const decoded = this.verifyToken(token);
@@ -159,14 +157,7 @@ class JwtService extends BaseService {
                 iat: Math.floor(Date.now() / 1000)
             };
 
-            const options = {
-                expiresIn: '15m',
-                issuer: this.issuer,
-                audience: this.audience,
-                algorithm: 'HS256'
-            };
-
-            return jwt.sign(resetPayload, this.secret, options);
+            return this._signToken(resetPayload, '15m');
         } catch (error) {
             throw this.handleServiceError(error, 'Password reset token generation');
         }
@@ -177,22 +168,61 @@ class JwtService extends BaseService {
             const verificationPayload = {
                 ...payload,
                 type: 'email_verification',
+                iat: Math.floor(Date.now() / 1000),
+                jti: this._generateJwtId()
+            };
+
+            return this._signToken(verificationPayload, `${JwtService.EMAIL_VERIFICATION_TOKEN_MINUTES}m`);
+        } catch (error) {
+            throw this.handleServiceError(error, 'Email verification token generation');
+        }
+    }
+
+    verifyEmailVerificationToken(token) {
+        return this._verifyTypedToken(token, 'email_verification');
+    }
+
+    generateDeviceChallengeToken(payload) {
+        try {
+            const challengePayload = {
+                ...payload,
+                type: 'device_challenge',
                 iat: Math.floor(Date.now() / 1000)
             };
 
-            const options = {
-                expiresIn: '1h',
-                issuer: this.issuer,
-                audience: this.audience,
-                algorithm: 'HS256'
+            return this._signToken(challengePayload, '5m');
+        } catch (error) {
+            throw this.handleServiceError(error, 'Device challenge token generation');
+        }
+    }
+
+    verifyDeviceChallengeToken(token) {
+        return this._verifyTypedToken(token, 'device_challenge');
+    }
+
+    generateVerificationTicket(payload) {
+        try {
+            const ticketPayload = {
+                ...payload,
+                type: 'verification_ticket',
+                iat: Math.floor(Date.now() / 1000),
+                jti: this._generateJwtId()
             };
 
-            return jwt.sign(verificationPayload, this.secret, options);
+            return this._signToken(ticketPayload, '10m');
         } catch (error) {
-            throw this.handleServiceError(error, 'Email verification token generation');
+            throw this.handleServiceError(error, 'Verification ticket generation');
         }
     }
 
+    verifyVerificationTicket(token) {
+        return this._verifyTypedToken(token, 'verification_ticket');
+    }
+
+    getJwks() {
+        return this.keyStore ? this.keyStore.getPublicJwks() : { keys: [] };
+    }
+
     async _performHealthCheck() {
         try {
             const testPayload = {
@@ -201,7 +231,7 @@ class JwtService extends BaseService {
                 test: true
             };
 
-            const token = this.generateToken(testPayload);
+            const token = await this.generateToken(testPayload);
             const verified = this.verifyToken(token);
 
             if (!verified || verified.phoneNumber !== testPayload.phoneNumber) {
@@ -211,7 +241,8 @@ class JwtService extends BaseService {
             return {
                 tokenGeneration: 'working',
                 tokenVerification: 'working',
-                algorithm: 'HS256',
+                algorithm: this.algorithm,
+                activeKid: this.keyStore ? this.keyStore.activeKid : null,
                 expiresIn: this.expiresIn,
                 details: 'JWT service is operational'
             };
@@ -226,6 +257,10 @@ class JwtService extends BaseService {
     }
 
     _validateConfiguration() {
+        if (this.keyStore) {
+            return;
+        }
+
         const requiredConfig = ['JWT_SECRET'];
 
         try {
@@ -236,11 +271,18 @@ class JwtService extends BaseService {
     }
 
     _validateSecretStrength() {
+        if (!this.acceptHmacTokens) {
+            return;
+        }
+
         if (this.secret.length < 32) {
             this.logWarn('JWT secret is shorter than recommended 32 characters');
         }
 
         if (this.secret === 'fallback_secret_key_change_in_production') {
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('Refusing to use the default JWT secret in production - set JWT_SECRET');
+            }
             this.logWarn('Using default JWT secret - change this in production!');
         }
     }
@@ -288,6 +330,75 @@ class JwtService extends BaseService {
         if (!decoded.phoneNumber) {
             throw new Error('Token missing required phoneNumber claim');
         }
+
+        if (decoded.type) {
+            throw new Error('Invalid token type');
+        }
+    }
+
+    _verifyTypedToken(token, expectedType) {
+        try {
+            this._validateTokenFormat(token);
+
+            const decoded = this._verifySignature(token);
+
+            if (decoded.type !== expectedType) {
+                throw new Error('Invalid token type');
+            }
+
+            return decoded;
+        } catch (error) {
+            this._handleVerificationError(error);
+        }
+    }
+
+    _signToken(payload, expiresIn) {
+        const options = {
+            expiresIn,
+            issuer: this.issuer,
+            audience: this.audience
+        };
+
+        if (!this.keyStore) {
+            return jwt.sign(payload, this.secret, { ...options, algorithm: 'HS256' });
+        }
+
+        const signingKey = this.keyStore.getSigningKey();
+        return jwt.sign(payload, signingKey.privateKey, {
+            ...options,
+            algorithm: signingKey.algorithm,
+            keyid: signingKey.kid
+        });
+    }
+
+    _verifySignature(token) {
+        const decoded = jwt.decode(token, { complete: true });
+        if (!decoded || !decoded.header) {
+            throw new Error('Invalid token format or signature');
+        }
+
+        const options = {
+            issuer: this.issuer,
+            audience: this.audience
+        };
+
+        if (decoded.header.kid) {
+            const verificationKey = this.keyStore ? this.keyStore.getVerificationKey(decoded.header.kid) : null;
+            if (!verificationKey) {
+                throw new Error('Token signed with unknown key');
+            }
+
+            return jwt.verify(token, verificationKey.publicKey, {
+                ...options,
+                algorithms: [verificationKey.algorithm]
+            });
+        }
+
+        if (!this.acceptHmacTokens) {
+            throw new Error('Invalid token format or signature');
+        }
+
+        return jwt.verify(token, this.secret, { ...options, algorithms: ['HS256'] });
     }
 
     _validateAuthHeader(authHeader) {
@@ -322,7 +433,7 @@ class JwtService extends BaseService {
     }
 
     _generateJwtId() {
-        return Math.random().toString(36).substring(2) + Date.now().toString(36);
+        return crypto.randomUUID();
     }
 }
 
@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const SensitiveData = require('./SensitiveData');
 
 class Logger {
     constructor(options = {}) {
@@ -127,9 +128,8 @@ class Logger {
             return '[Complex Object]';
         }
 
-        const sensitiveFields = ['password', 'pin', 'token', 'secret', 'key', 'authorization'];
-        if (sensitiveFields.some(field => key.toLowerCase().includes(field))) {
-            return '[REDACTED]';
+        if (SensitiveData.isSensitiveField(key)) {
+            return SensitiveData.REDACTED;
         }
 
         return value;
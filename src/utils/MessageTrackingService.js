@@ -0,0 +1,127 @@
+const BaseService = require('./BaseService');
+const OutboundMessage = require('../models/OutboundMessage');
+
+class MessageTrackingService extends BaseService {
+    static DEFAULT_RETENTION_DAYS = 30;
+    static REPORT_PARSERS = {
+        semaphore: payload => ({
+            providerMessageId: payload.message_id,
+            status: MessageTrackingService._mapStatus({
+                pending: 'queued',
+                queued: 'queued',
+                sent: 'sent',
+                delivered: 'delivered',
+                failed: 'failed',
+                refunded: 'failed'
+            }, payload.status),
+            statusDetail: payload.status
+        }),
+        twilio: payload => ({
+            providerMessageId: payload.MessageSid,
+            status: MessageTrackingService._mapStatus({
+                accepted: 'queued',
+                queued: 'queued',
+                sending: 'queued',
+                sent: 'sent',
+                delivered: 'delivered',
+                undelivered: 'undelivered',
+                failed: 'failed'
+            }, payload.MessageStatus),
+            statusDetail: payload.ErrorCode ? `Twilio error ${payload.ErrorCode}` : payload.MessageStatus
+        }),
+        console: payload => MessageTrackingService._parseGenericReport(payload),
+        file: payload => MessageTrackingService._parseGenericReport(payload)
+    };
+
+    constructor() {
+        super();
+        this.retentionDays = parseInt(process.env.OUTBOUND_MESSAGE_RETENTION_DAYS) || MessageTrackingService.DEFAULT_RETENTION_DAYS;
+    }
+
+    async recordSent({ channel, provider, providerMessageId = null, recipient, type = 'message', purpose = null, status = 'queued' }) {
+        try {
+            const message = await OutboundMessage.create({
+                channel,
+                provider,
+                providerMessageId: providerMessageId ? String(providerMessageId) : null,
+                recipient,
+                type,
+                purpose,
+                status,
+                statusUpdatedAt: new Date()
+            });
+            return message.id;
+        } catch (error) {
+            this.logWarn(`Failed to record outbound ${channel} message to ${recipient}`, { error: error.message });
+            return null;
+        }
+    }
+
+    async applyDeliveryReport(provider, payload) {
+        const parser = MessageTrackingService.REPORT_PARSERS[provider];
+        if (!parser) {
+            throw this._createReportError(`Unsupported delivery report provider: ${provider}`, 404);
+        }
+
+        const report = parser(payload || {});
+        if (!report.providerMessageId || !report.status) {
+            throw this._createReportError('Delivery report is missing a message ID or a recognised status', 400);
+        }
+
+        return await this.applyStatusUpdate(provider, report.providerMessageId, report.status, report.statusDetail);
+    }
+
+    async applyStatusUpdate(provider, providerMessageId, status, statusDetail = null) {
+        const message = await OutboundMessage.findByProviderMessageId(provider, String(providerMessageId));
+        if (!message) {
+            this.logWarn(`Delivery report for unknown ${provider} message ${providerMessageId}`);
+            return { matched: false, updated: false };
+        }
+
+        const updated = await message.applyStatus(status, statusDetail);
+        this.logInfo(`Delivery report for ${provider} message ${providerMessageId}: ${status}`, {
+            trackingId: message.id,
+            updated
+        });
+
+        return { matched: true, updated, status: message.status, trackingId: message.id };
+    }
+
+    async getStatus(trackingId) {
+        const message = await OutboundMessage.findByPk(trackingId);
+        return message ? message.toStatusJSON() : null;
+    }
+
+    async cleanupOldMessages() {
+        const cleaned = await OutboundMessage.cleanupOlderThan(this.retentionDays);
+
+        if (cleaned > 0) {
+            this.logInfo(`Cleaned up ${cleaned} outbound message records older than ${this.retentionDays} days`);
+        }
+
+        return cleaned;
+    }
+
+    _createReportError(message, statusCode) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+
+    static _parseGenericReport(payload) {
+        return {
+            providerMessageId: payload.messageId,
+            status: OutboundMessage.STATUSES.includes(payload.status) ? payload.status : null,
+            statusDetail: payload.reason || payload.status
+        };
+    }
+
+    static _mapStatus(mapping, providerStatus) {
+        if (!providerStatus) {
+            return null;
+        }
+        return mapping[providerStatus.toString().toLowerCase()] || null;
+    }
+}
+
+module.exports = MessageTrackingService;
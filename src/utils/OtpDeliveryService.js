@@ -0,0 +1,151 @@
+const BaseService = require('./BaseService');
+const SmsService = require('./SmsService');
+const BrevoService = require('./BrevoService');
+const FakeVoiceProvider = require('./FakeVoiceProvider');
+const OtpCode = require('../models/OtpCode');
+const SequelizeOtpStore = require('./SequelizeOtpStore');
+const OtpGenerator = require('./OtpGenerator');
+const MessageTrackingService = require('./MessageTrackingService');
+
+class OtpDeliveryService extends BaseService {
+    static CHANNELS = ['sms', 'email', 'voice'];
+    static VOICE_PROVIDERS = {
+        console: FakeVoiceProvider,
+        file: FakeVoiceProvider
+    };
+
+    constructor({ smsService, emailService, voiceProvider, otpStore, messageTracker } = {}) {
+        super();
+        this.smsService = smsService || new SmsService();
+        this.emailService = emailService || new BrevoService();
+        this.voiceProvider = voiceProvider !== undefined
+            ? voiceProvider
+            : this._createVoiceProvider(process.env.VOICE_PROVIDER);
+        this.otpStore = otpStore || new SequelizeOtpStore();
+        this.messageTracker = messageTracker || new MessageTrackingService();
+    }
+
+    async sendPhoneOTP(phoneNumber, { purpose, preferredChannel = 'sms', email = null, locale = null } = {}) {
+        if (!OtpDeliveryService.CHANNELS.includes(preferredChannel)) {
+            throw new Error(`Unsupported delivery channel: ${preferredChannel}`);
+        }
+
+        const allowedChannels = this.getAllowedChannels(purpose);
+        if (!allowedChannels.includes(preferredChannel)) {
+            const error = new Error(`Codes for ${purpose} cannot be sent by ${preferredChannel}`);
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const code = OtpGenerator.generate();
+        const attempts = [];
+
+        for (const channel of this._resolveChannelOrder(preferredChannel, allowedChannels)) {
+            const unavailableReason = this._getUnavailableReason(channel, email);
+            if (unavailableReason) {
+                attempts.push({ channel, status: 'skipped', reason: unavailableReason });
+                continue;
+            }
+
+            try {
+                const result = await this._deliver(channel, phoneNumber, email, code, { purpose, locale });
+                await this.otpStore.save('sms', phoneNumber, code, { purpose });
+
+                this.logInfo(`OTP for ${phoneNumber} sent via ${channel}`, { purpose, preferredChannel });
+
+                return {
+                    ...result,
+                    channel,
+                    preferredChannel,
+                    fallbackUsed: channel !== preferredChannel,
+                    attempts: [...attempts, { channel, status: 'sent' }]
+                };
+            } catch (error) {
+                this.logWarn(`OTP delivery via ${channel} failed for ${phoneNumber} - trying next channel`, { error: error.message });
+                attempts.push({ channel, status: 'failed', reason: 'Delivery failed' });
+            }
+        }
+
+        const error = new Error('Unable to deliver verification code through any channel');
+        error.statusCode = 503;
+        error.details = { attempts };
+        throw error;
+    }
+
+    getAvailableChannels(email = null) {
+        return OtpDeliveryService.CHANNELS.filter(channel => !this._getUnavailableReason(channel, email));
+    }
+
+    getAllowedChannels(purpose) {
+        return OtpCode.getPurposePolicy(purpose).channels || OtpDeliveryService.CHANNELS;
+    }
+
+    async _performHealthCheck() {
+        return {
+            channels: this.getAvailableChannels(),
+            voiceProvider: this.voiceProvider ? this.voiceProvider.providerName : null,
+            details: 'OTP delivery service is operational'
+        };
+    }
+
+    _resolveChannelOrder(preferredChannel, allowedChannels) {
+        return [preferredChannel, ...allowedChannels.filter(channel => channel !== preferredChannel)];
+    }
+
+    _getUnavailableReason(channel, email) {
+        if (channel === 'email' && !email) {
+            return 'No verified email address on file';
+        }
+
+        if (channel === 'voice' && !this.voiceProvider) {
+            return 'Voice delivery is not configured';
+        }
+
+        return null;
+    }
+
+    async _deliver(channel, phoneNumber, email, code, { purpose, locale }) {
+        switch (channel) {
+            case 'sms':
+                return await this.smsService.deliverOTP(phoneNumber, code, { purpose });
+            case 'email': {
+                const result = await this.emailService.deliverEmailOTP(email, code, { purpose, locale });
+                return { ...result, to: this._maskEmail(email) };
+            }
+            case 'voice': {
+                const result = await this.voiceProvider.callWithOTP(phoneNumber, code);
+                const trackingId = await this.messageTracker.recordSent({
+                    channel: 'voice',
+                    provider: result.provider,
+                    providerMessageId: result.callId,
+                    recipient: phoneNumber,
+                    type: 'otp',
+                    purpose
+                });
+                return { ...result, trackingId };
+            }
+            default:
+                throw new Error(`Unsupported delivery channel: ${channel}`);
+        }
+    }
+
+    _createVoiceProvider(providerName) {
+        if (!providerName) {
+            return null;
+        }
+
+        const Provider = OtpDeliveryService.VOICE_PROVIDERS[providerName];
+        if (!Provider) {
+            throw new Error(`Unknown voice provider: ${providerName}. Use one of: ${Object.keys(OtpDeliveryService.VOICE_PROVIDERS).join(', ')}`);
+        }
+        return new Provider(providerName);
+    }
+
+    _maskEmail(email) {
+        const [localPart, domain] = email.split('@');
+        const visible = localPart.slice(0, Math.min(2, localPart.length - 1));
+        return `${visible}${'*'.repeat(Math.max(localPart.length - visible.length, 1))}@${domain}`;
+    }
+}
+
+module.exports = OtpDeliveryService;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+class OtpGenerator {
+    static DEFAULT_LENGTH = 6;
+    static DEFAULT_ALPHABET = '0123456789';
+    static MIN_LENGTH = 4;
+    static MAX_LENGTH = 8;
+
+    static getConfig() {
+        return {
+            length: parseInt(process.env.OTP_LENGTH) || OtpGenerator.DEFAULT_LENGTH,
+            alphabet: process.env.OTP_ALPHABET || OtpGenerator.DEFAULT_ALPHABET
+        };
+    }
+
+    static generate({ length, alphabet } = OtpGenerator.getConfig()) {
+        OtpGenerator._assertValidConfig(length, alphabet);
+
+        let code = '';
+        for (let i = 0; i < length; i++) {
+            code += alphabet[crypto.randomInt(alphabet.length)];
+        }
+        return code;
+    }
+
+    static normalize(code) {
+        if (code === undefined || code === null) {
+            return '';
+        }
+
+        const trimmed = code.toString().trim();
+        const { alphabet } = OtpGenerator.getConfig();
+        return /[a-z]/.test(alphabet) ? trimmed : trimmed.toUpperCase();
+    }
+
+    static isValidFormat(code) {
+        const normalized = OtpGenerator.normalize(code);
+        const { alphabet } = OtpGenerator.getConfig();
+
+        if (normalized.length < OtpGenerator.MIN_LENGTH || normalized.length > OtpGenerator.MAX_LENGTH) {
+            return false;
+        }
+
+        return normalized.split('').every(char => alphabet.includes(char));
+    }
+
+    static _assertValidConfig(length, alphabet) {
+        if (!Number.isInteger(length) || length < OtpGenerator.MIN_LENGTH || length > OtpGenerator.MAX_LENGTH) {
+            throw new Error(`OTP length must be between ${OtpGenerator.MIN_LENGTH} and ${OtpGenerator.MAX_LENGTH}`);
+        }
+
+        if (typeof alphabet !== 'string' || !/^[0-9A-Za-z]+$/.test(alphabet) || new Set(alphabet).size !== alphabet.length || alphabet.length < 2) {
+            throw new Error('OTP alphabet must contain at least 2 unique letters or digits');
+        }
+    }
+}
+
+module.exports = OtpGenerator;
@@ -0,0 +1,238 @@
+const { Transaction } = require('sequelize');
+const BaseService = require('./BaseService');
+const OtpSendLog = require('../models/OtpSendLog');
+
+class OtpQuotaService extends BaseService {
+    static WINDOWS = {
+        hourly: 60 * 60 * 1000,
+        daily: 24 * 60 * 60 * 1000
+    };
+    static SCOPES = {
+        phone: 'phoneNumber',
+        ip: 'ipAddress',
+        prefix: 'phonePrefix'
+    };
+    static DEFAULT_LIMITS = {
+        phone: { hourly: 5, daily: 10 },
+        ip: { hourly: 10, daily: 30 },
+        prefix: { hourly: 30, daily: 150 }
+    };
+    static DEFAULT_PREFIX_DIGITS = 8;
+    static DEFAULT_LOG_RETENTION_DAYS = 30;
+
+    constructor(options = {}) {
+        super();
+        this.limits = options.limits || this._loadLimits();
+        this.prefixDigits = options.prefixDigits || parseInt(process.env.OTP_QUOTA_PREFIX_DIGITS) || OtpQuotaService.DEFAULT_PREFIX_DIGITS;
+        this.logRetentionDays = options.logRetentionDays || parseInt(process.env.OTP_SEND_LOG_RETENTION_DAYS) || OtpQuotaService.DEFAULT_LOG_RETENTION_DAYS;
+        this.denyList = options.denyList || this._loadDenyList();
+    }
+
+    async sendWithinQuota({ phoneNumber, ipAddress = null, purpose }, send) {
+        const reservation = await this.reserveSend({ phoneNumber, ipAddress, purpose });
+
+        let result;
+        try {
+            result = await send();
+        } catch (error) {
+            await this.releaseSend(reservation);
+            throw error;
+        }
+
+        reservation.channel = result.channel || 'sms';
+        await reservation.save();
+
+        return result;
+    }
+
+    async reserveSend({ phoneNumber, ipAddress = null, purpose }) {
+        const context = this._buildContext(phoneNumber, ipAddress, purpose);
+
+        const denyReason = this._getDenyReason(context);
+        if (denyReason) {
+            await this._recordBlocked(context, denyReason);
+            throw this._createQuotaError('Verification codes cannot be sent for this request', 403, {
+                reason: 'blocked'
+            });
+        }
+
+        const { reservation, exceeded } = await OtpSendLog.sequelize.transaction(
+            { type: Transaction.TYPES.IMMEDIATE },
+            async (transaction) => {
+                const exceeded = await this._findExceededQuota(context, transaction);
+                if (exceeded) {
+                    return { reservation: null, exceeded };
+                }
+
+                const reservation = await OtpSendLog.create({ ...context, status: 'sent' }, { transaction });
+                return { reservation, exceeded: null };
+            }
+        );
+
+        if (exceeded) {
+            await this._recordBlocked(context, exceeded.reason);
+            throw this._createQuotaError('Too many verification code requests. Please try again later.', 429, {
+                reason: 'quota_exceeded',
+                retryAfter: exceeded.retryAfter
+            });
+        }
+
+        return reservation;
+    }
+
+    async releaseSend(reservation) {
+        try {
+            await reservation.destroy();
+        } catch (error) {
+            this.logError('Failed to release OTP send reservation', error);
+        }
+    }
+
+    async cleanupOldLogs() {
+        const cleaned = await OtpSendLog.cleanupOlderThan(this.logRetentionDays);
+
+        if (cleaned > 0) {
+            this.logInfo(`Cleaned up ${cleaned} OTP send log entries older than ${this.logRetentionDays} days`);
+        }
+
+        return cleaned;
+    }
+
+    async _performHealthCheck() {
+        return {
+            limits: this.limits,
+            prefixDigits: this.prefixDigits,
+            denyListSize: {
+                phones: this.denyList.phones.length,
+                prefixes: this.denyList.prefixes.length,
+                ips: this.denyList.ips.length
+            },
+            details: 'OTP quota service is operational'
+        };
+    }
+
+    _buildContext(phoneNumber, ipAddress, purpose) {
+        return {
+            phoneNumber,
+            phonePrefix: OtpSendLog.getPrefix(phoneNumber, this.prefixDigits),
+            ipAddress: this._normalizeIp(ipAddress),
+            purpose
+        };
+    }
+
+    _getDenyReason({ phoneNumber, ipAddress }) {
+        const digits = this._toPhoneDigits(phoneNumber);
+
+        if (this.denyList.phones.includes(digits)) {
+            return 'deny_list_phone';
+        }
+
+        if (this.denyList.prefixes.some(prefix => digits.startsWith(prefix))) {
+            return 'deny_list_prefix';
+        }
+
+        if (ipAddress && this.denyList.ips.includes(ipAddress)) {
+            return 'deny_list_ip';
+        }
+
+        return null;
+    }
+
+    async _findExceededQuota(context, transaction = null) {
+        for (const [scope, field] of Object.entries(OtpQuotaService.SCOPES)) {
+            const value = context[field];
+            if (!value) {
+                continue;
+            }
+
+            for (const [window, windowMs] of Object.entries(OtpQuotaService.WINDOWS)) {
+                const limit = this.limits[scope][window];
+                if (!limit) {
+                    continue;
+                }
+
+                const since = new Date(Date.now() - windowMs);
+                const sent = await OtpSendLog.countSentSince(field, value, since, { transaction });
+
+                if (sent >= limit) {
+                    const oldest = await OtpSendLog.findOldestSentSince(field, value, since, { transaction });
+                    const retryAfterMs = new Date(oldest.createdAt).getTime() + windowMs - Date.now();
+
+                    return {
+                        reason: `quota_${scope}_${window}`,
+                        retryAfter: Math.max(1, Math.ceil(retryAfterMs / 1000))
+                    };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async _recordBlocked(context, reason) {
+        this.logWarn(`Blocked OTP send for ${context.phoneNumber}`, {
+            reason,
+            ipAddress: context.ipAddress,
+            phonePrefix: context.phonePrefix,
+            purpose: context.purpose
+        });
+
+        try {
+            await OtpSendLog.create({
+                ...context,
+                status: 'blocked',
+                blockReason: reason
+            });
+        } catch (error) {
+            this.logError('Failed to record blocked OTP send', error);
+        }
+    }
+
+    _loadLimits() {
+        const limits = {};
+
+        for (const [scope, defaults] of Object.entries(OtpQuotaService.DEFAULT_LIMITS)) {
+            limits[scope] = {};
+            for (const window of Object.keys(OtpQuotaService.WINDOWS)) {
+                const value = process.env[`OTP_QUOTA_${scope.toUpperCase()}_${window.toUpperCase()}`];
+                limits[scope][window] = value !== undefined && value !== '' ? parseInt(value) : defaults[window];
+            }
+        }
+
+        return limits;
+    }
+
+    _loadDenyList() {
+        const parseList = value => (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+
+        return {
+            phones: parseList(process.env.OTP_DENY_PHONES).map(phone => this._toPhoneDigits(phone)),
+            prefixes: parseList(process.env.OTP_DENY_PREFIXES).map(prefix => this._toPhoneDigits(prefix)),
+            ips: parseList(process.env.OTP_DENY_IPS).map(ip => this._normalizeIp(ip))
+        };
+    }
+
+    _toPhoneDigits(phoneNumber) {
+        const digits = phoneNumber.replace(/\D/g, '');
+
+        if (digits.startsWith('0')) return `63${digits.substring(1)}`;
+        if (digits.startsWith('9')) return `63${digits}`;
+        return digits;
+    }
+
+    _normalizeIp(ipAddress) {
+        if (!ipAddress) {
+            return null;
+        }
+        return ipAddress.replace(/^::ffff:/, '');
+    }
+
+    _createQuotaError(message, statusCode, details) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        error.details = details;
+        return error;
+    }
+}
+
+module.exports = OtpQuotaService;
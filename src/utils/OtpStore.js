@@ -0,0 +1,42 @@
+class OtpStore {
+    static FAILURE_MESSAGES = {
+        not_found: 'No verification code found or expired',
+        expired: 'Verification code has expired',
+        too_many_attempts: 'Too many failed attempts',
+        invalid_code: 'Invalid verification code'
+    };
+
+    static describeFailure(reason) {
+        return OtpStore.FAILURE_MESSAGES[reason] || 'Verification failed';
+    }
+
+    async save(channel, recipient, code, options = {}) {
+        throw new Error(`${this.constructor.name} must implement save()`);
+    }
+
+    async verify(channel, recipient, code, options = {}) {
+        throw new Error(`${this.constructor.name} must implement verify()`);
+    }
+
+    async remove(channel, recipient, options = {}) {
+        throw new Error(`${this.constructor.name} must implement remove()`);
+    }
+
+    async getCooldownRemaining(channel, recipient, options = {}) {
+        throw new Error(`${this.constructor.name} must implement getCooldownRemaining()`);
+    }
+
+    async cleanupExpired(channel = null) {
+        throw new Error(`${this.constructor.name} must implement cleanupExpired()`);
+    }
+
+    async countActive(channel = null) {
+        throw new Error(`${this.constructor.name} must implement countActive()`);
+    }
+
+    async getStats(channel = null) {
+        throw new Error(`${this.constructor.name} must implement getStats()`);
+    }
+}
+
+module.exports = OtpStore;
@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+
+class PinHasher {
+    static ALGORITHM = 'scrypt';
+    static COST = 16384;
+    static BLOCK_SIZE = 8;
+    static PARALLELIZATION = 1;
+    static KEY_LENGTH = 64;
+    static SALT_LENGTH = 16;
+
+    static async hash(pin) {
+        if (!pin || typeof pin !== 'string') {
+            throw new Error('PIN is required for hashing');
+        }
+
+        const salt = crypto.randomBytes(PinHasher.SALT_LENGTH);
+        const params = {
+            cost: PinHasher.COST,
+            blockSize: PinHasher.BLOCK_SIZE,
+            parallelization: PinHasher.PARALLELIZATION
+        };
+        const derivedKey = await PinHasher._derive(pin, salt, params, PinHasher.KEY_LENGTH);
+
+        return [
+            PinHasher.ALGORITHM,
+            params.cost,
+            params.blockSize,
+            params.parallelization,
+            salt.toString('base64'),
+            derivedKey.toString('base64')
+        ].join('$');
+    }
+
+    static async verify(pin, storedHash) {
+        if (!pin || typeof pin !== 'string') return false;
+
+        const parsed = PinHasher._parse(storedHash);
+        if (!parsed) return false;
+
+        const derivedKey = await PinHasher._derive(pin, parsed.salt, parsed.params, parsed.hash.length);
+        return crypto.timingSafeEqual(derivedKey, parsed.hash);
+    }
+
+    static isHash(value) {
+        return PinHasher._parse(value) !== null;
+    }
+
+    static _parse(value) {
+        if (!value || typeof value !== 'string') return null;
+
+        const parts = value.split('$');
+        if (parts.length !== 6 || parts[0] !== PinHasher.ALGORITHM) return null;
+
+        const [, cost, blockSize, parallelization, salt, hash] = parts;
+        const params = {
+            cost: parseInt(cost, 10),
+            blockSize: parseInt(blockSize, 10),
+            parallelization: parseInt(parallelization, 10)
+        };
+
+        if (Object.values(params).some(param => !Number.isInteger(param) || param <= 0)) {
+            return null;
+        }
+
+        const saltBuffer = Buffer.from(salt, 'base64');
+        const hashBuffer = Buffer.from(hash, 'base64');
+        if (saltBuffer.length === 0 || hashBuffer.length === 0) return null;
+
+        return { params, salt: saltBuffer, hash: hashBuffer };
+    }
+
+    static _derive(pin, salt, params, keyLength) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(pin, salt, keyLength, {
+                N: params.cost,
+                r: params.blockSize,
+                p: params.parallelization,
+                maxmem: 128 * params.cost * params.blockSize * 2
+            }, (error, derivedKey) => {
+                if (error) return reject(error);
+                resolve(derivedKey);
+            });
+        });
+    }
+}
+
+module.exports = PinHasher;
@@ -0,0 +1,46 @@
+class PinPolicy {
+    static HISTORY_SIZE = 5;
+
+    static validate(pin, context = {}) {
+        if (!/^\d{6}$/.test(pin || '')) {
+            return { valid: false, reason: 'PIN must be exactly 6 digits' };
+        }
+
+        if (PinPolicy._isRepeatedDigits(pin)) {
+            return { valid: false, reason: 'PIN cannot be a single repeated digit' };
+        }
+
+        if (PinPolicy._isRepeatedPattern(pin)) {
+            return { valid: false, reason: 'PIN cannot be a repeated pattern' };
+        }
+
+        if (PinPolicy._isSequence(pin)) {
+            return { valid: false, reason: 'PIN cannot be a sequence of consecutive digits' };
+        }
+
+        if (context.birthYear && pin.includes(String(context.birthYear))) {
+            return { valid: false, reason: 'PIN cannot contain your birth year' };
+        }
+
+        return { valid: true, reason: null };
+    }
+
+    static _isRepeatedDigits(pin) {
+        return /^(\d)\1+$/.test(pin);
+    }
+
+    static _isRepeatedPattern(pin) {
+        return /^(\d{2})\1+$/.test(pin) || /^(\d{3})\1$/.test(pin);
+    }
+
+    static _isSequence(pin) {
+        const digits = pin.split('').map(Number);
+        const isStep = (step) => digits.every((digit, index) =>
+            index === 0 || digit === digits[index - 1] + step
+        );
+
+        return isStep(1) || isStep(-1);
+    }
+}
+
+module.exports = PinPolicy;
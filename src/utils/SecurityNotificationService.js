@@ -0,0 +1,171 @@
+const BaseService = require('./BaseService');
+const SmsService = require('./SmsService');
+const BrevoService = require('./BrevoService');
+const SecurityEvent = require('../models/SecurityEvent');
+
+class SecurityNotificationService extends BaseService {
+    static DEFAULT_FREEZE_LINK_HOURS = 72;
+    static DEFAULT_RETENTION_DAYS = 180;
+    static DEFAULT_TIMEZONE = 'Asia/Manila';
+    static SMS_MAX_LENGTH = 160;
+    static EVENTS = {
+        new_device_login: {
+            template: 'new-device-login',
+            freezable: true,
+            sms: 'New login to your Kachingko account from a new device.'
+        },
+        pin_changed: {
+            template: 'pin-changed',
+            freezable: true,
+            sms: 'Your Kachingko PIN was changed.'
+        },
+        pin_reset: {
+            template: 'pin-changed',
+            freezable: true,
+            sms: 'Your Kachingko PIN was reset.'
+        },
+        email_changed: {
+            template: 'email-changed',
+            freezable: true,
+            sms: 'Your Kachingko email address was changed.'
+        },
+        kyc_approved: {
+            template: 'kyc-decision',
+            freezable: false,
+            sms: 'Your Kachingko identity verification was approved.'
+        },
+        kyc_rejected: {
+            template: 'kyc-decision',
+            freezable: false,
+            sms: 'Your Kachingko identity verification was not approved. Check your email or the app for details.'
+        }
+    };
+
+    constructor({ smsService, emailService } = {}) {
+        super();
+        this.smsService = smsService || new SmsService();
+        this.emailService = emailService || new BrevoService();
+        this.baseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+        this.freezeLinkHours = parseInt(process.env.SECURITY_FREEZE_LINK_HOURS) || SecurityNotificationService.DEFAULT_FREEZE_LINK_HOURS;
+        this.retentionDays = parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || SecurityNotificationService.DEFAULT_RETENTION_DAYS;
+        this.timezone = process.env.SECURITY_NOTIFICATION_TIMEZONE || SecurityNotificationService.DEFAULT_TIMEZONE;
+    }
+
+    async notify(account, type, details = {}) {
+        const definition = SecurityNotificationService.EVENTS[type];
+        if (!definition) {
+            throw new Error(`Unknown security event type: ${type}`);
+        }
+
+        const { event, freezeToken } = await SecurityEvent.record(account.id, type, details, {
+            freezeLinkHours: definition.freezable ? this.freezeLinkHours : 0
+        });
+        const freezeUrl = freezeToken ? this.buildFreezeUrl(freezeToken) : null;
+
+        this.logInfo(`Security event ${type} recorded`, { accountId: account.id, eventId: event.id });
+
+        const data = {
+            ...this._getTemplateData(type, details),
+            occurredAt: this._formatTimestamp(event.createdAt, account.locale),
+            freezeUrl,
+            freezeLinkHours: this.freezeLinkHours
+        };
+
+        const [sms, ...emails] = await Promise.allSettled([
+            this._sendSms(account, definition, freezeUrl),
+            ...this._getEmailRecipients(account, type, details).map(recipient =>
+                this.emailService.queueTemplateEmail(recipient.to, definition.template, { ...data, ...recipient.data }, {
+                    locale: account.locale,
+                    tracking: { purpose: `security_${type}` }
+                })
+            )
+        ]);
+
+        if (sms.status === 'rejected') {
+            this.logWarn(`Failed to send ${type} security SMS`, { accountId: account.id, error: sms.reason.message });
+        }
+
+        emails.filter(result => result.status === 'rejected').forEach(result => {
+            this.logWarn(`Failed to queue ${type} security email`, { accountId: account.id, error: result.reason.message });
+        });
+
+        return {
+            eventId: event.id,
+            smsSent: sms.status === 'fulfilled',
+            emailsQueued: emails.filter(result => result.status === 'fulfilled').length
+        };
+    }
+
+    buildFreezeUrl(freezeToken) {
+        return `${this.baseUrl}/api/security/freeze/${freezeToken}`;
+    }
+
+    async cleanupOldEvents() {
+        const cleaned = await SecurityEvent.cleanupOlderThan(this.retentionDays);
+
+        if (cleaned > 0) {
+            this.logInfo(`Cleaned up ${cleaned} security events older than ${this.retentionDays} days`);
+        }
+
+        return cleaned;
+    }
+
+    async _sendSms(account, definition, freezeUrl) {
+        if (!definition.freezable) {
+            return await this.smsService.sendSms(account.phoneNumber, definition.sms);
+        }
+
+        const withLink = freezeUrl ? `${definition.sms} Not you? Freeze your account: ${freezeUrl}` : null;
+        const message = withLink && withLink.length <= SecurityNotificationService.SMS_MAX_LENGTH
+            ? withLink
+            : `${definition.sms} Not you? Contact Kachingko support immediately.`;
+
+        return await this.smsService.sendSms(account.phoneNumber, message);
+    }
+
+    _getEmailRecipients(account, type, details) {
+        if (type === 'email_changed') {
+            return [
+                ...(details.oldEmail ? [{ to: details.oldEmail, data: { previousAddress: true } }] : []),
+                { to: details.newEmail, data: { previousAddress: false } }
+            ];
+        }
+
+        if (!account.email || !account.emailVerified) {
+            return [];
+        }
+
+        return [{ to: account.email, data: {} }];
+    }
+
+    _getTemplateData(type, details) {
+        switch (type) {
+            case 'new_device_login':
+                return {
+                    deviceName: details.deviceName || '-',
+                    platform: details.platform || '-',
+                    ipAddress: details.ipAddress || '-'
+                };
+            case 'pin_changed':
+            case 'pin_reset':
+                return { reset: type === 'pin_reset' };
+            case 'email_changed':
+                return { oldEmail: details.oldEmail || '-', newEmail: details.newEmail };
+            case 'kyc_approved':
+            case 'kyc_rejected':
+                return { approved: type === 'kyc_approved', reason: details.reason || '-' };
+            default:
+                return {};
+        }
+    }
+
+    _formatTimestamp(date, locale) {
+        return date.toLocaleString([`${locale || 'en'}-PH`, 'en-PH'], {
+            timeZone: this.timezone,
+            dateStyle: 'medium',
+            timeStyle: 'short'
+        });
+    }
+}
+
+module.exports = SecurityNotificationService;
@@ -0,0 +1,50 @@
+class SensitiveData {
+    static REDACTED = '[REDACTED]';
+    static FIELDS = [
+        'pin',
+        'password',
+        'token',
+        'ticket',
+        'secret',
+        'key',
+        'signature',
+        'authorization',
+        'code',
+        'otp',
+        'birthdate'
+    ];
+    static HEADERS = ['authorization', 'cookie', 'x-api-key', 'x-admin-key', 'x-webhook-secret'];
+
+    static isSensitiveField(name) {
+        const normalizedName = String(name).toLowerCase();
+        return SensitiveData.FIELDS.some(field => normalizedName.includes(field));
+    }
+
+    static redactFields(data) {
+        if (!data || typeof data !== 'object') {
+            return data;
+        }
+
+        const sanitized = { ...data };
+        Object.keys(sanitized).forEach(key => {
+            if (SensitiveData.isSensitiveField(key)) {
+                sanitized[key] = SensitiveData.REDACTED;
+            }
+        });
+
+        return sanitized;
+    }
+
+    static redactHeaders(headers) {
+        const sanitized = { ...headers };
+        SensitiveData.HEADERS.forEach(header => {
+            if (sanitized[header]) {
+                sanitized[header] = SensitiveData.REDACTED;
+            }
+        });
+
+        return sanitized;
+    }
+}
+
+module.exports = SensitiveData;
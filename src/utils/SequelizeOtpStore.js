@@ -0,0 +1,108 @@
+const { Op, Sequelize } = require('sequelize');
+const OtpStore = require('./OtpStore');
+const OtpCode = require('../models/OtpCode');
+
+class SequelizeOtpStore extends OtpStore {
+    async save(channel, recipient, code, options = {}) {
+        const { purpose } = options;
+        const policy = OtpCode.getPurposePolicy(purpose);
+        const ttlMinutes = options.ttlMinutes || policy.ttlMinutes || OtpCode.DEFAULT_TTL_MINUTES;
+        const maxAttempts = options.maxAttempts || policy.maxAttempts || OtpCode.DEFAULT_MAX_ATTEMPTS;
+
+        return await OtpCode.sequelize.transaction(async (transaction) => {
+            await OtpCode.destroy({ where: { channel, recipient, purpose }, transaction });
+
+            return await OtpCode.create({
+                channel,
+                recipient,
+                purpose,
+                codeHash: OtpCode.hashCode(channel, recipient, purpose, code),
+                expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+                attempts: 0,
+                maxAttempts
+            }, { transaction });
+        });
+    }
+
+    async verify(channel, recipient, code, options = {}) {
+        const { purpose } = options;
+        OtpCode.getPurposePolicy(purpose);
+        const otpCode = await OtpCode.findActive(channel, recipient, purpose);
+
+        if (!otpCode) {
+            return { status: 'expired', reason: 'not_found' };
+        }
+
+        if (otpCode.isExpired()) {
+            await otpCode.destroy();
+            return { status: 'expired', reason: 'expired' };
+        }
+
+        const attemptClaimed = await this._claimAttempt(otpCode);
+        if (!attemptClaimed) {
+            return { status: 'failed', reason: 'too_many_attempts' };
+        }
+
+        if (!otpCode.matches(code)) {
+            return {
+                status: 'failed',
+                reason: 'invalid_code',
+                attemptsRemaining: Math.max(0, otpCode.maxAttempts - otpCode.attempts - 1)
+            };
+        }
+
+        const consumedCount = await OtpCode.destroy({ where: { id: otpCode.id } });
+        if (consumedCount !== 1) {
+            return { status: 'expired', reason: 'not_found' };
+        }
+
+        return { status: 'approved', reason: 'approved' };
+    }
+
+    async remove(channel, recipient, options = {}) {
+        return await OtpCode.destroy({ where: { channel, recipient, purpose: options.purpose } });
+    }
+
+    async getCooldownRemaining(channel, recipient, options = {}) {
+        const { purpose } = options;
+        const policy = OtpCode.getPurposePolicy(purpose);
+        const otpCode = await OtpCode.findActive(channel, recipient, purpose);
+
+        return otpCode ? otpCode.getCooldownRemaining(policy.cooldownSeconds) : 0;
+    }
+
+    async cleanupExpired(channel = null) {
+        return await OtpCode.cleanupExpired(channel);
+    }
+
+    async countActive(channel = null) {
+        const where = { expiresAt: { [Op.gt]: new Date() } };
+        if (channel) {
+            where.channel = channel;
+        }
+        return await OtpCode.count({ where });
+    }
+
+    async getStats(channel = null) {
+        const where = channel ? { channel } : {};
+        const now = new Date();
+
+        const [activeCount, expiredCount, highAttemptCount] = await Promise.all([
+            OtpCode.count({ where: { ...where, expiresAt: { [Op.gt]: now } } }),
+            OtpCode.count({ where: { ...where, expiresAt: { [Op.lte]: now } } }),
+            OtpCode.count({ where: { ...where, attempts: { [Op.gte]: 2 } } })
+        ]);
+
+        return { activeCount, expiredCount, highAttemptCount };
+    }
+
+    async _claimAttempt(otpCode) {
+        const [claimedCount] = await OtpCode.update(
+            { attempts: Sequelize.literal('attempts + 1') },
+            { where: { id: otpCode.id, attempts: { [Op.lt]: otpCode.maxAttempts } } }
+        );
+        return claimedCount === 1;
+    }
+}
+
+module.exports = SequelizeOtpStore;
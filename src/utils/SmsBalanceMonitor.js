@@ -0,0 +1,253 @@
+const axios = require('axios');
+const BaseService = require('./BaseService');
+const SmsService = require('./SmsService');
+const BrevoService = require('./BrevoService');
+const SmsBalanceSnapshot = require('../models/SmsBalanceSnapshot');
+const OutboundMessage = require('../models/OutboundMessage');
+
+class SmsBalanceMonitor extends BaseService {
+    static DAY_MS = 24 * 60 * 60 * 1000;
+    static DEFAULT_CHECK_INTERVAL_MINUTES = 60;
+    static DEFAULT_ALERT_THRESHOLD = 100;
+    static DEFAULT_ALERT_DAYS = 3;
+    static DEFAULT_ALERT_COOLDOWN_HOURS = 6;
+    static DEFAULT_RATE_WINDOW_DAYS = 7;
+    static DEFAULT_COST_PER_MESSAGE = 1;
+    static DEFAULT_RETENTION_DAYS = 90;
+
+    constructor({ smsService, emailService } = {}) {
+        super();
+        this.smsService = smsService || new SmsService();
+        this.emailService = emailService || new BrevoService();
+        this.checkIntervalMinutes = this._readNumber('SMS_BALANCE_CHECK_INTERVAL_MINUTES', SmsBalanceMonitor.DEFAULT_CHECK_INTERVAL_MINUTES);
+        this.alertThreshold = this._readNumber('SMS_BALANCE_ALERT_THRESHOLD', SmsBalanceMonitor.DEFAULT_ALERT_THRESHOLD);
+        this.alertDays = this._readNumber('SMS_BALANCE_ALERT_DAYS', SmsBalanceMonitor.DEFAULT_ALERT_DAYS);
+        this.alertCooldownHours = this._readNumber('SMS_BALANCE_ALERT_COOLDOWN_HOURS', SmsBalanceMonitor.DEFAULT_ALERT_COOLDOWN_HOURS);
+        this.rateWindowDays = this._readNumber('SMS_BALANCE_RATE_WINDOW_DAYS', SmsBalanceMonitor.DEFAULT_RATE_WINDOW_DAYS);
+        this.defaultCostPerMessage = this._readNumber('SMS_COST_PER_MESSAGE', SmsBalanceMonitor.DEFAULT_COST_PER_MESSAGE);
+        this.retentionDays = this._readNumber('SMS_BALANCE_SNAPSHOT_RETENTION_DAYS', SmsBalanceMonitor.DEFAULT_RETENTION_DAYS);
+        this.alertEmails = this._readList('SMS_BALANCE_ALERT_EMAILS');
+        this.alertWebhookUrl = process.env.SMS_BALANCE_ALERT_WEBHOOK_URL || null;
+    }
+
+    isEnabled() {
+        return this.checkIntervalMinutes > 0;
+    }
+
+    async checkBalances() {
+        const results = [];
+
+        for (const provider of this.smsService.getProviders()) {
+            try {
+                results.push(await this.checkProvider(provider));
+            } catch (error) {
+                this.logError(`Balance check failed for SMS provider ${provider.providerName}`, error);
+                results.push({ provider: provider.providerName, status: 'error', error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    async checkProvider(provider) {
+        const { balance, credits, currency } = await provider.getBalance();
+
+        if (balance === null || balance === undefined || Number.isNaN(Number(balance))) {
+            this.logDebug(`SMS provider ${provider.providerName} does not report a balance - skipping`);
+            return { provider: provider.providerName, status: 'unsupported' };
+        }
+
+        const now = new Date();
+        const usage = await this._estimateUsage(provider.providerName, Number(balance), now);
+        const reasons = this._getAlertReasons(Number(balance), usage.estimatedDaysRemaining);
+        const shouldAlert = reasons.length > 0 && !(await this._isInCooldown(provider.providerName, now));
+
+        const snapshot = await SmsBalanceSnapshot.create({
+            provider: provider.providerName,
+            balance: Number(balance),
+            credits: credits === null || credits === undefined ? null : Number(credits),
+            currency: currency || null,
+            ...usage,
+            alerted: shouldAlert
+        });
+
+        if (reasons.length === 0) {
+            this.logInfo(`SMS balance for ${provider.providerName}: ${snapshot.balance}`, {
+                estimatedDaysRemaining: usage.estimatedDaysRemaining
+            });
+            return { ...snapshot.toSummaryJSON(), status: 'ok', reasons };
+        }
+
+        if (!shouldAlert) {
+            this.logWarn(`SMS balance for ${provider.providerName} is still low (${snapshot.balance}) - alert suppressed during cooldown`, { reasons });
+            return { ...snapshot.toSummaryJSON(), status: 'low', reasons };
+        }
+
+        await this._raiseAlert(snapshot, reasons);
+        return { ...snapshot.toSummaryJSON(), status: 'low', reasons };
+    }
+
+    async getLatestSnapshots() {
+        const snapshots = await Promise.all(
+            this.smsService.getProviders().map(provider => SmsBalanceSnapshot.findLatest(provider.providerName))
+        );
+        return snapshots.filter(Boolean).map(snapshot => snapshot.toSummaryJSON());
+    }
+
+    async cleanupOldSnapshots() {
+        const cleaned = await SmsBalanceSnapshot.cleanupOlderThan(this.retentionDays);
+
+        if (cleaned > 0) {
+            this.logInfo(`Cleaned up ${cleaned} SMS balance snapshots older than ${this.retentionDays} days`);
+        }
+
+        return cleaned;
+    }
+
+    async _performHealthCheck() {
+        return {
+            enabled: this.isEnabled(),
+            snapshots: await this.getLatestSnapshots(),
+            details: 'SMS balance monitor is operational'
+        };
+    }
+
+    async _estimateUsage(providerName, balance, now) {
+        const windowStart = new Date(now.getTime() - this.rateWindowDays * SmsBalanceMonitor.DAY_MS);
+        const sentCount = await OutboundMessage.countSentSince('sms', providerName, windowStart);
+
+        if (sentCount === 0) {
+            return { dailySendRate: 0, costPerMessage: null, estimatedDaysRemaining: null };
+        }
+
+        const oldest = await OutboundMessage.findOldestSentSince('sms', providerName, windowStart);
+        const elapsedDays = Math.max((now.getTime() - oldest.createdAt.getTime()) / SmsBalanceMonitor.DAY_MS, 1);
+        const dailySendRate = sentCount / elapsedDays;
+        const costPerMessage = await this._estimateCostPerMessage(providerName, balance, windowStart);
+        const dailySpend = dailySendRate * costPerMessage;
+
+        return {
+            dailySendRate: this._round(dailySendRate),
+            costPerMessage: this._round(costPerMessage),
+            estimatedDaysRemaining: dailySpend > 0 ? this._round(balance / dailySpend) : null
+        };
+    }
+
+    async _estimateCostPerMessage(providerName, balance, windowStart) {
+        const snapshots = await SmsBalanceSnapshot.findSince(providerName, windowStart);
+        if (snapshots.length === 0) {
+            return this.defaultCostPerMessage;
+        }
+
+        const balances = [...snapshots.map(snapshot => snapshot.balance), balance];
+        let consumed = 0;
+        for (let i = 1; i < balances.length; i++) {
+            consumed += Math.max(balances[i - 1] - balances[i], 0);
+        }
+
+        const sentSinceFirstSnapshot = await OutboundMessage.countSentSince('sms', providerName, snapshots[0].createdAt);
+        if (consumed <= 0 || sentSinceFirstSnapshot === 0) {
+            return this.defaultCostPerMessage;
+        }
+
+        return consumed / sentSinceFirstSnapshot;
+    }
+
+    _getAlertReasons(balance, estimatedDaysRemaining) {
+        const reasons = [];
+
+        if (balance <= this.alertThreshold) {
+            reasons.push('below_threshold');
+        }
+
+        if (this.alertDays > 0 && estimatedDaysRemaining !== null && estimatedDaysRemaining <= this.alertDays) {
+            reasons.push('running_out');
+        }
+
+        return reasons;
+    }
+
+    async _isInCooldown(providerName, now) {
+        if (this.alertCooldownHours <= 0) {
+            return false;
+        }
+
+        const since = new Date(now.getTime() - this.alertCooldownHours * 60 * 60 * 1000);
+        return Boolean(await SmsBalanceSnapshot.findLastAlertSince(providerName, since));
+    }
+
+    async _raiseAlert(snapshot, reasons) {
+        const alert = {
+            event: 'sms_balance_low',
+            ...snapshot.toSummaryJSON(),
+            threshold: this.alertThreshold,
+            alertDays: this.alertDays,
+            reasons
+        };
+
+        this.logWarn(`SMS balance low for ${snapshot.provider}: ${snapshot.balance}${snapshot.currency ? ` ${snapshot.currency}` : ''}`, alert);
+
+        const deliveries = [
+            ...this.alertEmails.map(email => ({ target: `email ${email}`, send: () => this._sendAlertEmail(email, alert) })),
+            ...(this.alertWebhookUrl ? [{ target: 'webhook', send: () => this._sendAlertWebhook(alert) }] : [])
+        ];
+
+        const results = await Promise.allSettled(deliveries.map(delivery => delivery.send()));
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                this.logWarn(`Failed to deliver SMS balance alert via ${deliveries[index].target}`, { error: result.reason.message });
+            }
+        });
+    }
+
+    async _sendAlertEmail(email, alert) {
+        const balanceText = `${alert.balance}${alert.currency ? ` ${alert.currency}` : ''}`;
+        const daysText = alert.estimatedDaysRemaining === null
+            ? 'Not enough recent traffic to estimate'
+            : `About ${alert.estimatedDaysRemaining} day(s) at the current send rate`;
+
+        const html = `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #d9534f;">SMS balance is running low</h2>
+                <p>The <strong>${alert.provider}</strong> SMS balance has dropped to <strong>${balanceText}</strong>.</p>
+                <ul>
+                    <li>Alert threshold: ${alert.threshold}</li>
+                    <li>Estimated time remaining: ${daysText}</li>
+                    <li>Recent send rate: ${alert.dailySendRate} SMS per day</li>
+                    <li>Checked at: ${alert.checkedAt.toISOString()}</li>
+                </ul>
+                <p>Top up the account to avoid failed OTP deliveries.</p>
+            </div>
+        `;
+
+        return await this.emailService.sendCustomEmail(email, `[Kachingko] Low SMS balance on ${alert.provider}`, html);
+    }
+
+    async _sendAlertWebhook(alert) {
+        return await axios.post(this.alertWebhookUrl, alert, {
+            timeout: 10000,
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Kachingko-Backend/1.0.0'
+            }
+        });
+    }
+
+    _readNumber(name, defaultValue) {
+        const value = parseFloat(process.env[name]);
+        return Number.isNaN(value) ? defaultValue : value;
+    }
+
+    _readList(name) {
+        return (process.env[name] || '')
+            .split(',')
+            .map(entry => entry.trim())
+            .filter(Boolean);
+    }
+
+    _round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = SmsBalanceMonitor;
@@ -0,0 +1,53 @@
+const BaseService = require('./BaseService');
+const OtpGenerator = require('./OtpGenerator');
+
+class SmsProvider extends BaseService {
+    static OTP_MESSAGE_TEMPLATE = 'Your Kachingko verification code is: {otp}. This code will expire in 5 minutes. Do not share this code with anyone.';
+    static PHONE_PATTERN = /^(\+63|63|0)?[89]\d{9}$/;
+
+    constructor(providerName) {
+        super();
+        this.providerName = providerName;
+        this.circuitBreakerThreshold = 5;
+        this.circuitBreakerResetMs = 60000;
+    }
+
+    async sendCustomOTP(phoneNumber, code) {
+        throw new Error(`${this.serviceName} must implement sendCustomOTP()`);
+    }
+
+    async sendSms(to, message) {
+        throw new Error(`${this.serviceName} must implement sendSms()`);
+    }
+
+    async getBalance() {
+        throw new Error(`${this.serviceName} must implement getBalance()`);
+    }
+
+    async _performHealthCheck() {
+        throw new Error(`${this.serviceName} must implement _performHealthCheck()`);
+    }
+
+    _withCircuitBreaker(operation) {
+        return this.executeWithCircuitBreaker(operation, this.circuitBreakerThreshold, this.circuitBreakerResetMs);
+    }
+
+    _otpValidationRule() {
+        return { required: true, type: 'string', minLength: OtpGenerator.MIN_LENGTH, maxLength: OtpGenerator.MAX_LENGTH };
+    }
+
+    _formatOtpMessage(code) {
+        return SmsProvider.OTP_MESSAGE_TEMPLATE.replace('{otp}', code);
+    }
+
+    _toE164(phoneNumber) {
+        const cleaned = phoneNumber.replace(/[^\d+]/g, '');
+
+        if (cleaned.startsWith('+63')) return cleaned;
+        if (cleaned.startsWith('63')) return `+${cleaned}`;
+        if (cleaned.startsWith('0')) return `+63${cleaned.substring(1)}`;
+        return `+63${cleaned}`;
+    }
+}
+
+module.exports = SmsProvider;
@@ -0,0 +1,197 @@
+const BaseService = require('./BaseService');
+const SemaphoreService = require('./SemaphoreService');
+const TwilioService = require('./TwilioService');
+const FakeSmsProvider = require('./FakeSmsProvider');
+const OtpStore = require('./OtpStore');
+const SequelizeOtpStore = require('./SequelizeOtpStore');
+const OtpGenerator = require('./OtpGenerator');
+const MessageTrackingService = require('./MessageTrackingService');
+
+class SmsService extends BaseService {
+    static PROVIDERS = {
+        semaphore: SemaphoreService,
+        twilio: TwilioService,
+        console: FakeSmsProvider,
+        file: FakeSmsProvider
+    };
+
+    constructor({ otpStore, primaryProvider, fallbackProvider, messageTracker } = {}) {
+        super();
+        this.otpStore = otpStore || new SequelizeOtpStore();
+        this.messageTracker = messageTracker || new MessageTrackingService();
+        this.primary = primaryProvider || this._createProvider(process.env.SMS_PROVIDER || 'semaphore');
+        this.fallback = fallbackProvider !== undefined
+            ? fallbackProvider
+            : this._createFallbackProvider(process.env.SMS_FALLBACK_PROVIDER);
+        this.logInfo('SMS gateway initialized', {
+            primary: this.primary.providerName,
+            fallback: this.fallback ? this.fallback.providerName : null
+        });
+    }
+
+    async initialize() {
+        try {
+            await super.initialize();
+            await this.primary.initialize();
+
+            if (this.fallback) {
+                try {
+                    await this.fallback.initialize();
+                } catch (error) {
+                    this.logWarn('Fallback SMS provider failed to initialize - failover may not work', { error: error.message });
+                }
+            }
+
+            this.logInfo('SmsService initialized successfully');
+        } catch (error) {
+            this.serviceStatus = 'error';
+            throw this.handleServiceError(error, 'service initialization');
+        }
+    }
+
+    async sendOTP(phoneNumber, { purpose } = {}) {
+        const code = OtpGenerator.generate();
+        const result = await this.deliverOTP(phoneNumber, code, { purpose });
+
+        await this._storeOTPCode(phoneNumber, code, purpose);
+
+        return result;
+    }
+
+    async deliverOTP(phoneNumber, code, { purpose = null } = {}) {
+        const result = await this._sendWithFailover('OTP delivery', provider => provider.sendCustomOTP(phoneNumber, code));
+        return await this._trackDelivery(result, phoneNumber, 'otp', purpose);
+    }
+
+    async verifyOTP(phoneNumber, code, { purpose } = {}) {
+        try {
+            this.logInfo(`Verifying OTP for ${phoneNumber}`);
+
+            this._validateInput({ phoneNumber, code }, {
+                phoneNumber: { required: true, type: 'string' },
+                code: { required: true, type: 'string', minLength: OtpGenerator.MIN_LENGTH, maxLength: OtpGenerator.MAX_LENGTH }
+            });
+
+            const result = await this.otpStore.verify('sms', phoneNumber, OtpGenerator.normalize(code), { purpose });
+
+            if (result.status === 'approved') {
+                this.logInfo(`OTP verification successful for ${phoneNumber}`);
+                return { status: 'approved', message: 'Phone number verified successfully' };
+            }
+
+            return { status: result.status, message: OtpStore.describeFailure(result.reason) };
+        } catch (error) {
+            throw this.handleServiceError(error, 'OTP verification');
+        }
+    }
+
+    async sendSms(to, message) {
+        const result = await this._sendWithFailover('SMS delivery', provider => provider.sendSms(to, message));
+        return await this._trackDelivery(result, to, 'message');
+    }
+
+    async getBalance() {
+        return await this.primary.getBalance();
+    }
+
+    getProviders() {
+        return this.fallback ? [this.primary, this.fallback] : [this.primary];
+    }
+
+    async getCooldownRemaining(phoneNumber, { purpose } = {}) {
+        return await this.otpStore.getCooldownRemaining('sms', phoneNumber, { purpose });
+    }
+
+    async cleanupExpiredCodes() {
+        const cleaned = await this.otpStore.cleanupExpired('sms');
+
+        if (cleaned > 0) {
+            this.logInfo(`Cleaned up ${cleaned} expired OTP codes`);
+        }
+
+        return cleaned;
+    }
+
+    async getActiveCodesCount() {
+        return await this.otpStore.countActive('sms');
+    }
+
+    async getCodeStats() {
+        return await this.otpStore.getStats('sms');
+    }
+
+    async _performHealthCheck() {
+        const [primaryHealth, fallbackHealth] = await Promise.all([
+            this.primary.healthCheck(),
+            this.fallback ? this.fallback.healthCheck() : Promise.resolve(null)
+        ]);
+
+        return {
+            sms: primaryHealth.sms,
+            provider: this.primary.providerName,
+            circuitBreaker: this.primary.getCircuitBreakerState(),
+            activeCodes: await this.getActiveCodesCount(),
+            providers: {
+                primary: primaryHealth,
+                fallback: fallbackHealth
+            },
+            details: primaryHealth.details
+        };
+    }
+
+    async _sendWithFailover(operation, send) {
+        try {
+            return await send(this.primary);
+        } catch (error) {
+            if (!this.fallback || !this.primary.isCircuitOpen()) {
+                throw error;
+            }
+
+            this.logWarn(`${operation} failing over from ${this.primary.providerName} to ${this.fallback.providerName} - primary circuit breaker is open`, {
+                error: error.message
+            });
+
+            return await send(this.fallback);
+        }
+    }
+
+    async _trackDelivery(result, recipient, type, purpose = null) {
+        const trackingId = await this.messageTracker.recordSent({
+            channel: 'sms',
+            provider: result.provider,
+            providerMessageId: result.messageId,
+            recipient,
+            type,
+            purpose
+        });
+
+        return { ...result, trackingId };
+    }
+
+    _createProvider(providerName) {
+        const Provider = SmsService.PROVIDERS[providerName];
+        if (!Provider) {
+            throw new Error(`Unknown SMS provider: ${providerName}. Use one of: ${Object.keys(SmsService.PROVIDERS).join(', ')}`);
+        }
+        return new Provider(providerName);
+    }
+
+    _createFallbackProvider(providerName) {
+        if (!providerName) {
+            return null;
+        }
+
+        if (providerName === this.primary.providerName) {
+            this.logWarn('SMS_FALLBACK_PROVIDER is the same as SMS_PROVIDER - failover disabled');
+            return null;
+        }
+
+        return this._createProvider(providerName);
+    }
+
+    async _storeOTPCode(phoneNumber, code, purpose) {
+        return await this.otpStore.save('sms', phoneNumber, code, { purpose });
+    }
+}
+
+module.exports = SmsService;
@@ -0,0 +1,152 @@
+const SmsProvider = require('./SmsProvider');
+const twilio = require('twilio');
+
+class TwilioService extends SmsProvider {
+    constructor() {
+        super('twilio');
+        this.accountSid = process.env.TWILIO_ACCOUNT_SID;
+        this.authToken = process.env.TWILIO_AUTH_TOKEN;
+        this.fromNumber = process.env.TWILIO_FROM_NUMBER;
+        this.statusCallbackUrl = process.env.TWILIO_STATUS_CALLBACK_URL || null;
+        this._validateConfiguration();
+        this.client = twilio(this.accountSid, this.authToken);
+        this.logInfo('Twilio SMS service initialized');
+    }
+
+    async initialize() {
+        try {
+            await super.initialize();
+            await this._testConnection();
+            this.logInfo('TwilioService initialized successfully');
+        } catch (error) {
+            this.serviceStatus = 'error';
+            throw this.handleServiceError(error, 'service initialization');
+        }
+    }
+
+    async sendCustomOTP(phoneNumber, code) {
+        return this._withCircuitBreaker(() => this.executeWithRetry(async () => {
+            this.logInfo(`Sending OTP to ${phoneNumber} via Twilio`);
+
+            this._validateInput({ phoneNumber, code }, {
+                phoneNumber: { required: true, type: 'string', pattern: SmsProvider.PHONE_PATTERN },
+                code: this._otpValidationRule()
+            });
+
+            const message = await this._createMessage(phoneNumber, this._formatOtpMessage(code));
+
+            this.logInfo(`OTP sent successfully to ${phoneNumber}`, { messageId: message.sid });
+
+            return {
+                provider: this.providerName,
+                status: 'pending',
+                to: phoneNumber,
+                messageId: message.sid
+            };
+        }, 3, 2000));
+    }
+
+    async sendSms(to, message) {
+        return this._withCircuitBreaker(() => this.executeWithRetry(async () => {
+            this.logInfo(`Sending regular SMS to ${to} via Twilio`);
+
+            this._validateInput({ to, message }, {
+                to: { required: true, type: 'string', pattern: SmsProvider.PHONE_PATTERN },
+                message: { required: true, type: 'string', minLength: 1, maxLength: 160 }
+            });
+
+            const result = await this._createMessage(to, message);
+            this.logInfo(`SMS sent successfully to ${to}`, { messageId: result.sid });
+
+            return {
+                provider: this.providerName,
+                messageId: result.sid,
+                status: result.status,
+                cost: result.price
+            };
+        }, 3, 1000));
+    }
+
+    async getBalance() {
+        return this.executeWithRetry(async () => {
+            const balance = await this.client.api.v2010.account.balance.fetch();
+
+            return {
+                balance: parseFloat(balance.balance),
+                credits: null,
+                currency: balance.currency
+            };
+        }, 2, 1000);
+    }
+
+    async _performHealthCheck() {
+        try {
+            const balance = await this.getBalance();
+            return {
+                sms: 'connected',
+                balance: balance.balance,
+                currency: balance.currency,
+                details: 'SMS service is operational'
+            };
+        } catch (error) {
+            return {
+                sms: 'disconnected',
+                error: error.message,
+                details: 'SMS service connection failed'
+            };
+        }
+    }
+
+    _validateConfiguration() {
+        const requiredConfig = ['TWILIO_ACCOUNT_SID', 'TWILIO_AUTH_TOKEN', 'TWILIO_FROM_NUMBER'];
+
+        try {
+            this.validateConfiguration(requiredConfig);
+        } catch (error) {
+            throw new Error(`TwilioService configuration error: ${error.message}`);
+        }
+    }
+
+    async _testConnection() {
+        try {
+            await this.client.api.v2010.accounts(this.accountSid).fetch();
+            this.logInfo('Twilio API connection verified successfully');
+        } catch (error) {
+            throw new Error(`Twilio API connection failed: ${error.message}`);
+        }
+    }
+
+    async _createMessage(to, body) {
+        try {
+            const message = {
+                to: this._toE164(to),
+                from: this.fromNumber,
+                body
+            };
+
+            if (this.statusCallbackUrl) {
+                message.statusCallback = this.statusCallbackUrl;
+            }
+
+            return await this.client.messages.create(message);
+        } catch (error) {
+            throw this._handleApiError(error);
+        }
+    }
+
+    _handleApiError(error) {
+        if (error.code === 21211 || error.code === 21614) {
+            return new Error('Invalid Philippines phone number format');
+        } else if (error.code === 20003) {
+            return new Error('SMS service authentication failed');
+        } else if (error.code === 20429 || error.status === 429) {
+            return new Error('SMS service rate limit exceeded');
+        } else if (error.code === 21606 || error.code === 21659) {
+            return new Error('SMS service sender number is not configured correctly');
+        }
+
+        return new Error(`SMS service error: ${error.message || 'Unknown error'}`);
+    }
+}
+
+module.exports = TwilioService;
@@ -0,0 +1,25 @@
+const BaseService = require('./BaseService');
+
+class VoiceProvider extends BaseService {
+    static PHONE_PATTERN = /^(\+63|63|0)?[89]\d{9}$/;
+
+    constructor(providerName) {
+        super();
+        this.providerName = providerName;
+    }
+
+    async callWithOTP(phoneNumber, code) {
+        throw new Error(`${this.serviceName} must implement callWithOTP()`);
+    }
+
+    async _performHealthCheck() {
+        throw new Error(`${this.serviceName} must implement _performHealthCheck()`);
+    }
+
+    _formatOtpScript(code) {
+        const spokenCode = code.split('').join(', ');
+        return `Hello, this is Kachingko. Your verification code is ${spokenCode}. Again, your code is ${spokenCode}. Do not share this code with anyone.`;
+    }
+}
+
+module.exports = VoiceProvider;
@@ -0,0 +1,347 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kachingko-outbox-'));
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    LOG_LEVEL: 'ERROR',
+    DATABASE_PATH: ':memory:',
+    JWT_SECRET: 'test-secret-that-is-long-enough-for-hs256-signing',
+    SMS_PROVIDER: 'file',
+    EMAIL_PROVIDER: 'file',
+    DEV_OUTBOX_DIR: outboxDir,
+    OTP_QUOTA_PREFIX_DIGITS: '12'
+});
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const DatabaseConnection = require('../../src/config/DatabaseConnection');
+const AccountController = require('../../src/controllers/AccountController');
+const Account = require('../../src/models/Account');
+const DevOutbox = require('../../src/utils/DevOutbox');
+
+describe('AccountController', () => {
+    let controller;
+    let nextSubscriber = 1000000;
+
+    const newPhoneNumber = () => `+63917${nextSubscriber++}`;
+
+    const latestCode = (to) => {
+        const [message] = DevOutbox.getInstance().list({ to, limit: 1 });
+        assert.ok(message, `no message was sent to ${to}`);
+        return message.code;
+    };
+
+    const signUp = async (phoneNumber, pin = '482915', deviceInfo = { deviceId: 'device-1', userAgent: 'test-agent' }) => {
+        await controller.sendVerificationCode(phoneNumber);
+        const { verificationTicket } = await controller.verifyCode(phoneNumber, latestCode(phoneNumber));
+        return await controller.createAccount({ phoneNumber, pin, verificationTicket }, deviceInfo);
+    };
+
+    before(async () => {
+        await DatabaseConnection.getInstance().syncModels();
+        controller = new AccountController();
+    });
+
+    after(async () => {
+        await DatabaseConnection.getInstance().close();
+        fs.rmSync(outboxDir, { recursive: true, force: true });
+    });
+
+    describe('verification code channel', () => {
+        it('refuses email delivery for a number without a verified email address', async () => {
+            await assert.rejects(
+                () => controller.sendVerificationCode(newPhoneNumber(), { channel: 'email' }),
+                (error) => error.statusCode === 400
+            );
+        });
+
+        it('sends by email to an existing account with a verified email address', async () => {
+            const phoneNumber = newPhoneNumber();
+            const { account } = await signUp(phoneNumber);
+            await Account.update({ email: 'juan@example.com', emailVerified: true }, { where: { id: account.id } });
+
+            const result = await controller.sendVerificationCode(phoneNumber, { channel: 'email' });
+
+            assert.equal(result.channel, 'email');
+            assert.equal(result.fallbackUsed, false);
+        });
+    });
+
+    describe('verification ticket', () => {
+        const device = { deviceId: 'device-1', userAgent: 'test-agent' };
+
+        const verifyPhone = async (phoneNumber) => {
+            await controller.sendVerificationCode(phoneNumber);
+            const { verificationTicket } = await controller.verifyCode(phoneNumber, latestCode(phoneNumber));
+            return verificationTicket;
+        };
+
+        it('is required to create an account', async () => {
+            await assert.rejects(
+                () => controller.createAccount({ phoneNumber: newPhoneNumber(), pin: '482915' }, device),
+                (error) => error.statusCode === 401
+            );
+        });
+
+        it('only creates the account for the phone number it was issued to', async () => {
+            const verificationTicket = await verifyPhone(newPhoneNumber());
+
+            await assert.rejects(
+                () => controller.createAccount({ phoneNumber: newPhoneNumber(), pin: '482915', verificationTicket }, device),
+                /does not match/
+            );
+        });
+
+        it('can be used only once', async () => {
+            const phoneNumber = newPhoneNumber();
+            const verificationTicket = await verifyPhone(phoneNumber);
+            const { account } = await controller.createAccount({ phoneNumber, pin: '482915', verificationTicket }, device);
+            await Account.destroy({ where: { id: account.id } });
+
+            await assert.rejects(
+                () => controller.createAccount({ phoneNumber, pin: '482915', verificationTicket }, device),
+                /already been used/
+            );
+        });
+
+        it('stays usable when account creation fails', async () => {
+            const phoneNumber = newPhoneNumber();
+            const verificationTicket = await verifyPhone(phoneNumber);
+
+            await assert.rejects(() => controller.createAccount({ phoneNumber, pin: '12ab', verificationTicket }, device));
+
+            const created = await controller.createAccount({ phoneNumber, pin: '482915', verificationTicket }, device);
+            assert.ok(created.token);
+        });
+    });
+
+    describe('forgot PIN', () => {
+        const startReset = async (phoneNumber) => {
+            await controller.requestPinReset(phoneNumber);
+            return await controller.verifyPinResetCode(phoneNumber, latestCode(phoneNumber));
+        };
+
+        it('sets the new PIN with a reset token', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber);
+            const { resetToken } = await startReset(phoneNumber);
+
+            await controller.resetPin(resetToken, '730164');
+
+            const account = await Account.findByPhoneNumber(phoneNumber);
+            assert.equal(await account.validatePin('730164'), true);
+            assert.equal(account.pinResetTokenId, null);
+        });
+
+        it('accepts a reset token only once', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber);
+            const { resetToken } = await startReset(phoneNumber);
+            await controller.resetPin(resetToken, '730164');
+
+            await assert.rejects(
+                () => controller.resetPin(resetToken, '859302'),
+                /invalid or has already been used/
+            );
+
+            const account = await Account.findByPhoneNumber(phoneNumber);
+            assert.equal(await account.validatePin('730164'), true);
+        });
+
+        it('accepts a reset code only once', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber);
+            await controller.requestPinReset(phoneNumber);
+            const code = latestCode(phoneNumber);
+            await controller.verifyPinResetCode(phoneNumber, code);
+
+            await assert.rejects(() => controller.verifyPinResetCode(phoneNumber, code));
+        });
+
+        it('invalidates an earlier reset token when a newer one is issued', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber);
+            const first = await startReset(phoneNumber);
+            const account = await Account.findByPhoneNumber(phoneNumber);
+            await account.startPinReset();
+
+            await assert.rejects(
+                () => controller.resetPin(first.resetToken, '730164'),
+                /invalid or has already been used/
+            );
+        });
+
+        it('signs out existing sessions', async () => {
+            const phoneNumber = newPhoneNumber();
+            const { refreshToken } = await signUp(phoneNumber);
+            const { resetToken } = await startReset(phoneNumber);
+
+            await controller.resetPin(resetToken, '730164');
+
+            await assert.rejects(() => controller.refreshSession(refreshToken));
+        });
+    });
+
+    describe('change PIN', () => {
+        it('rejects a PIN containing the birth year recorded at KYC approval', async () => {
+            const phoneNumber = newPhoneNumber();
+            const { account } = await signUp(phoneNumber);
+            await controller.reviewKyc(account.id, { status: 'approved', birthDate: '1987-03-21' });
+
+            await assert.rejects(
+                () => controller.changePin(phoneNumber, '482915', '198740'),
+                /birth year/
+            );
+            await controller.changePin(phoneNumber, '482915', '730164');
+        });
+
+        it('refuses birth dates that are malformed or only come with a rejection', async () => {
+            const phoneNumber = newPhoneNumber();
+            const { account } = await signUp(phoneNumber);
+
+            await assert.rejects(
+                () => controller.reviewKyc(account.id, { status: 'approved', birthDate: '1987-02-30' }),
+                (error) => error.statusCode === 400
+            );
+            await assert.rejects(
+                () => controller.reviewKyc(account.id, { status: 'rejected', reason: 'Blurry ID', birthDate: '1987-03-21' }),
+                (error) => error.statusCode === 400
+            );
+            assert.equal((await Account.findByPk(account.id)).birthDate, null);
+        });
+    });
+
+    describe('new device login', () => {
+        const knownDevice = { deviceId: 'device-1', userAgent: 'test-agent' };
+        const newDevice = { deviceId: 'device-2', userAgent: 'test-agent' };
+
+        it('requires a device ID to create an account', async () => {
+            const phoneNumber = newPhoneNumber();
+            await controller.sendVerificationCode(phoneNumber);
+            const { verificationTicket } = await controller.verifyCode(phoneNumber, latestCode(phoneNumber));
+
+            await assert.rejects(
+                () => controller.createAccount({ phoneNumber, pin: '482915', verificationTicket }, { userAgent: 'test-agent' }),
+                (error) => error.statusCode === 400
+            );
+
+            const created = await controller.createAccount({ phoneNumber, pin: '482915', verificationTicket }, knownDevice);
+            assert.ok(created.token);
+        });
+
+        it('requires a device ID to log in, before checking the PIN', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber);
+
+            await assert.rejects(
+                () => controller.loginWithPin(phoneNumber, '000000', { userAgent: 'test-agent' }),
+                (error) => error.statusCode === 400
+            );
+
+            const account = await Account.findByPhoneNumber(phoneNumber);
+            assert.equal(account.failedPinAttempts, 0);
+        });
+
+        it('logs in directly from the device used at signup', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber, '482915', knownDevice);
+
+            const result = await controller.loginWithPin(phoneNumber, '482915', knownDevice);
+
+            assert.equal(result.challengeRequired, undefined);
+            assert.ok(result.token);
+        });
+
+        it('challenges an unknown device and trusts it once the code is verified', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber, '482915', knownDevice);
+
+            const challenge = await controller.loginWithPin(phoneNumber, '482915', newDevice);
+            assert.equal(challenge.challengeRequired, true);
+            assert.equal(challenge.codeSent, true);
+            assert.equal(challenge.token, undefined);
+
+            const result = await controller.verifyDeviceChallenge(challenge.challengeToken, latestCode(phoneNumber), newDevice);
+            assert.ok(result.token);
+
+            const nextLogin = await controller.loginWithPin(phoneNumber, '482915', newDevice);
+            assert.ok(nextLogin.token);
+        });
+
+        it('treats the same device ID with another User-Agent as a new device', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber, '482915', knownDevice);
+
+            const result = await controller.loginWithPin(phoneNumber, '482915', { ...knownDevice, userAgent: 'other-agent' });
+
+            assert.equal(result.challengeRequired, true);
+        });
+
+        it('rejects a challenge completed from another device', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber, '482915', knownDevice);
+            const challenge = await controller.loginWithPin(phoneNumber, '482915', newDevice);
+
+            await assert.rejects(
+                () => controller.verifyDeviceChallenge(
+                    challenge.challengeToken,
+                    latestCode(phoneNumber),
+                    { deviceId: 'device-3', userAgent: 'test-agent' }
+                ),
+                (error) => error.statusCode === 401
+            );
+        });
+
+        it('rejects a wrong challenge code', async () => {
+            const phoneNumber = newPhoneNumber();
+            await signUp(phoneNumber, '482915', knownDevice);
+            const challenge = await controller.loginWithPin(phoneNumber, '482915', newDevice);
+
+            await assert.rejects(
+                () => controller.verifyDeviceChallenge(challenge.challengeToken, '000000', newDevice),
+                (error) => error.statusCode === 401
+            );
+        });
+    });
+
+    describe('email verification link', () => {
+        const linkFor = async (phoneNumber) => {
+            const { account } = await signUp(phoneNumber);
+            await Account.update({ email: `${account.id}@example.com` }, { where: { id: account.id } });
+            const { url } = controller._createEmailVerificationLink(await Account.findByPk(account.id));
+            return { accountId: account.id, token: url.split('/').pop() };
+        };
+
+        it('does not verify the address when the link is only opened', async () => {
+            const { accountId, token } = await linkFor(newPhoneNumber());
+
+            const first = await controller.getEmailVerificationLink(token);
+            const second = await controller.getEmailVerificationLink(token);
+
+            assert.equal(first.alreadyVerified, false);
+            assert.equal(second.alreadyVerified, false);
+            assert.equal((await Account.findByPk(accountId)).emailVerified, false);
+        });
+
+        it('verifies the address once the link is confirmed', async () => {
+            const { accountId, token } = await linkFor(newPhoneNumber());
+
+            const result = await controller.verifyEmailLink(token);
+
+            assert.equal(result.alreadyVerified, false);
+            assert.equal((await Account.findByPk(accountId)).emailVerified, true);
+            assert.equal((await controller.getEmailVerificationLink(token)).alreadyVerified, true);
+        });
+
+        it('can be confirmed only once', async () => {
+            const { accountId, token } = await linkFor(newPhoneNumber());
+            await controller.verifyEmailLink(token);
+            await Account.update({ emailVerified: false }, { where: { id: accountId } });
+
+            await assert.rejects(() => controller.getEmailVerificationLink(token), { statusCode: 410 });
+            await assert.rejects(() => controller.verifyEmailLink(token), { statusCode: 410 });
+        });
+    });
+});
@@ -0,0 +1,129 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize } = require('sequelize');
+const Account = require('../../src/models/Account');
+const PinHasher = require('../../src/utils/PinHasher');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+describe('Account', () => {
+    let sequelize;
+    let account;
+
+    const failPin = async (times) => {
+        for (let i = 0; i < times; i++) {
+            await account.registerFailedPinAttempt();
+        }
+    };
+
+    const lockMinutes = () => Math.round((new Date(account.pinLockedUntil) - Date.now()) / MINUTE_MS);
+
+    before(async () => {
+        sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+        Account.init(sequelize);
+        await sequelize.sync();
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await Account.destroy({ where: {} });
+        account = await Account.create({
+            phoneNumber: '+639171234567',
+            pin: await PinHasher.hash('482915')
+        });
+    });
+
+    describe('PIN lockout', () => {
+        it('allows the first wrong PINs without delay', async () => {
+            await failPin(2);
+
+            assert.equal(account.getPinRetryDelay(), 0);
+            assert.deepEqual(account.getPinLockStatus(), {
+                locked: false,
+                lockedUntil: null,
+                retryAfter: 0,
+                attemptsRemaining: 3
+            });
+        });
+
+        it('doubles the retry delay for each failure past the backoff threshold', async () => {
+            await failPin(3);
+            assert.equal(account.getPinRetryDelay(), 30);
+
+            await account.registerFailedPinAttempt();
+            assert.equal(account.getPinRetryDelay(), 60);
+        });
+
+        it('locks the PIN after the maximum number of failures', async () => {
+            await failPin(5);
+
+            const status = account.getPinLockStatus();
+            assert.equal(account.isPinLocked(), true);
+            assert.equal(status.locked, true);
+            assert.equal(status.attemptsRemaining, 0);
+            assert.equal(lockMinutes(), 30);
+        });
+
+        it('persists the failure counters', async () => {
+            await failPin(5);
+
+            const stored = await Account.findByPk(account.id);
+            assert.equal(stored.failedPinAttempts, 5);
+            assert.equal(stored.isPinLocked(), true);
+        });
+
+        it('releases an expired lock but keeps a running one', async () => {
+            await failPin(5);
+            await account.releaseExpiredPinLock();
+            assert.equal(account.isPinLocked(), true);
+
+            account.pinLockedUntil = new Date(Date.now() - 1000);
+            await account.releaseExpiredPinLock();
+
+            assert.equal(account.failedPinAttempts, 0);
+            assert.equal(account.pinLockedUntil, null);
+        });
+
+        it('doubles the lock for each repeated lockout up to the maximum', async () => {
+            const locks = [];
+            for (let i = 0; i < 8; i++) {
+                await failPin(5);
+                locks.push(lockMinutes());
+                await account.resetPinAttempts();
+            }
+
+            assert.deepEqual(locks, [30, 60, 120, 240, 480, 960, 1440, 1440]);
+        });
+
+        it('keeps the lock escalation when the PIN is unlocked or entered correctly', async () => {
+            await failPin(5);
+            await account.resetPinAttempts();
+
+            assert.equal(account.isPinLocked(), false);
+            assert.equal(account.failedPinAttempts, 0);
+            assert.equal(account.pinLockoutCount, 1);
+
+            await failPin(5);
+            assert.equal(lockMinutes(), 60);
+        });
+
+        it('starts again from the shortest lock once the last lockout is old enough', async () => {
+            await failPin(5);
+            await account.resetPinAttempts();
+            await failPin(5);
+            await account.resetPinAttempts();
+            account.lastPinLockoutAt = new Date(Date.now() - 31 * DAY_MS);
+
+            await failPin(5);
+
+            assert.equal(lockMinutes(), 30);
+            assert.equal(account.pinLockoutCount, 1);
+        });
+    });
+});
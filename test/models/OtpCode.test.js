@@ -0,0 +1,98 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize } = require('sequelize');
+const OtpCode = require('../../src/models/OtpCode');
+const SequelizeOtpStore = require('../../src/utils/SequelizeOtpStore');
+
+describe('OtpCode attempt claiming', () => {
+    const recipient = '+639171234567';
+    const options = { purpose: 'login_stepup' };
+    let sequelize;
+    let store;
+
+    before(async () => {
+        sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+        OtpCode.init(sequelize);
+        await sequelize.sync();
+        store = new SequelizeOtpStore();
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await OtpCode.destroy({ where: {} });
+    });
+
+    it('approves the right code once and consumes it', async () => {
+        await store.save('sms', recipient, '123456', options);
+
+        assert.equal((await store.verify('sms', recipient, '123456', options)).status, 'approved');
+        assert.deepEqual(await store.verify('sms', recipient, '123456', options), {
+            status: 'expired',
+            reason: 'not_found'
+        });
+    });
+
+    it('counts every wrong guess against the attempt limit', async () => {
+        await store.save('sms', recipient, '123456', options);
+
+        const first = await store.verify('sms', recipient, '000000', options);
+        const second = await store.verify('sms', recipient, '000000', options);
+
+        assert.equal(first.reason, 'invalid_code');
+        assert.equal(first.attemptsRemaining, 2);
+        assert.equal(second.attemptsRemaining, 1);
+        assert.equal((await OtpCode.findActive('sms', recipient, 'login_stepup')).attempts, 2);
+    });
+
+    it('rejects the right code once the attempts are used up', async () => {
+        await store.save('sms', recipient, '123456', options);
+
+        for (let i = 0; i < 3; i++) {
+            await store.verify('sms', recipient, '000000', options);
+        }
+
+        assert.deepEqual(await store.verify('sms', recipient, '123456', options), {
+            status: 'failed',
+            reason: 'too_many_attempts'
+        });
+    });
+
+    it('lets concurrent guesses claim no more than the allowed attempts', async () => {
+        await store.save('sms', recipient, '123456', options);
+
+        const results = await Promise.all(
+            Array.from({ length: 10 }, () => store.verify('sms', recipient, '000000', options))
+        );
+
+        const claimed = results.filter(result => result.reason === 'invalid_code');
+        const refused = results.filter(result => result.reason === 'too_many_attempts');
+        assert.equal(claimed.length, 3);
+        assert.equal(refused.length, 7);
+        assert.equal((await OtpCode.findActive('sms', recipient, 'login_stepup')).attempts, 3);
+    });
+
+    it('keeps codes for different purposes apart', async () => {
+        await store.save('sms', recipient, '123456', options);
+
+        const result = await store.verify('sms', recipient, '123456', { purpose: 'pin_reset' });
+
+        assert.equal(result.status, 'expired');
+        assert.equal((await store.verify('sms', recipient, '123456', options)).status, 'approved');
+    });
+
+    it('treats an expired code as gone', async () => {
+        await store.save('sms', recipient, '123456', options);
+        await OtpCode.update({ expiresAt: new Date(Date.now() - 1000) }, { where: { recipient } });
+
+        assert.deepEqual(await store.verify('sms', recipient, '123456', options), {
+            status: 'expired',
+            reason: 'expired'
+        });
+        assert.equal(await OtpCode.count(), 0);
+    });
+});
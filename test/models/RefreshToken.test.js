@@ -0,0 +1,102 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize } = require('sequelize');
+const Account = require('../../src/models/Account');
+const RefreshToken = require('../../src/models/RefreshToken');
+const PinHasher = require('../../src/utils/PinHasher');
+
+describe('RefreshToken', () => {
+    let sequelize;
+    let accountId;
+
+    before(async () => {
+        sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+        Account.init(sequelize);
+        RefreshToken.init(sequelize);
+        await sequelize.sync();
+
+        const account = await Account.create({
+            phoneNumber: '+639171234567',
+            pin: await PinHasher.hash('123456')
+        });
+        accountId = account.id;
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    it('stores only a hash of the issued token', async () => {
+        const { token, record } = await RefreshToken.issue(accountId);
+
+        assert.notEqual(record.tokenHash, token);
+        assert.equal(record.tokenHash, RefreshToken.hashToken(token));
+        assert.equal((await RefreshToken.findByToken(token)).id, record.id);
+        assert.equal(await RefreshToken.findByToken('unknown'), null);
+    });
+
+    it('rotates a token into the same family and links the replacement', async () => {
+        const { token } = await RefreshToken.issue(accountId);
+        const stored = await RefreshToken.findByToken(token);
+
+        const replacement = await stored.rotate();
+        await stored.reload();
+
+        assert.ok(replacement);
+        assert.notEqual(replacement.token, token);
+        assert.equal(replacement.record.familyId, stored.familyId);
+        assert.equal(stored.replacedById, replacement.record.id);
+        assert.ok(stored.rotatedAt);
+    });
+
+    it('lets only one of two concurrent rotations win', async () => {
+        const { token } = await RefreshToken.issue(accountId);
+        const first = await RefreshToken.findByToken(token);
+        const second = await RefreshToken.findByToken(token);
+
+        const results = await Promise.all([first.rotate(), second.rotate()]);
+
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal(await RefreshToken.count({ where: { familyId: first.familyId } }), 2);
+    });
+
+    it('refuses to rotate a token that was already rotated', async () => {
+        const { token } = await RefreshToken.issue(accountId);
+        const stored = await RefreshToken.findByToken(token);
+        await stored.rotate();
+
+        const replayed = await RefreshToken.findByToken(token);
+
+        assert.equal(await replayed.rotate(), null);
+    });
+
+    it('revokes every live token in a family and leaves other families alone', async () => {
+        const { token } = await RefreshToken.issue(accountId);
+        const stored = await RefreshToken.findByToken(token);
+        const replacement = await stored.rotate();
+        const other = await RefreshToken.issue(accountId);
+
+        const revokedCount = await RefreshToken.revokeFamily(stored.familyId, 'reuse_detected');
+        await replacement.record.reload();
+        await other.record.reload();
+
+        assert.equal(revokedCount, 2);
+        assert.equal(replacement.record.revokedReason, 'reuse_detected');
+        assert.ok(replacement.record.revokedAt);
+        assert.equal(other.record.revokedAt, null);
+        assert.equal(await replacement.record.rotate(), null);
+    });
+
+    it('does not overwrite the reason of an already revoked token', async () => {
+        const { record } = await RefreshToken.issue(accountId);
+        await RefreshToken.revokeFamily(record.familyId, 'logout');
+
+        const revokedCount = await RefreshToken.revokeFamily(record.familyId, 'reuse_detected');
+        await record.reload();
+
+        assert.equal(revokedCount, 0);
+        assert.equal(record.revokedReason, 'logout');
+    });
+});
@@ -0,0 +1,175 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Sequelize } = require('sequelize');
+const EmailOutbox = require('../../src/models/EmailOutbox');
+const EmailOutboxService = require('../../src/utils/EmailOutboxService');
+
+describe('EmailOutboxService', () => {
+    let sequelize;
+    let outcomes;
+    let deliveries;
+    let service;
+
+    const queue = () => service.enqueue({
+        to: 'Juan@Example.com',
+        subject: 'Welcome',
+        html: '<p>Welcome</p>',
+        purpose: 'welcome'
+    });
+
+    const makeDue = () => EmailOutbox.update({ nextAttemptAt: new Date(Date.now() - 1000) }, { where: {} });
+
+    const suppressedError = () => {
+        const error = new Error('Recipient is suppressed');
+        error.code = 'EMAIL_SUPPRESSED';
+        return error;
+    };
+
+    before(async () => {
+        sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+        EmailOutbox.init(sequelize);
+        await sequelize.sync();
+    });
+
+    after(async () => {
+        await sequelize.close();
+    });
+
+    beforeEach(async () => {
+        await EmailOutbox.destroy({ where: {} });
+        outcomes = [];
+        deliveries = [];
+        service = new EmailOutboxService({
+            emailService: {
+                sendQueuedEmail: async (entry) => {
+                    deliveries.push(entry.id);
+                    const outcome = outcomes.shift();
+                    if (outcome instanceof Error) {
+                        throw outcome;
+                    }
+                    return { trackingId: 'tracking-id' };
+                }
+            }
+        });
+        service.maxAttempts = 3;
+    });
+
+    it('queues emails as pending without sending them', async () => {
+        const entry = await queue();
+
+        assert.equal(entry.status, 'pending');
+        assert.equal(entry.recipient, 'juan@example.com');
+        assert.equal(entry.maxAttempts, 3);
+        assert.equal(deliveries.length, 0);
+    });
+
+    it('sends due emails and records the tracking ID', async () => {
+        const { id } = await queue();
+
+        const summary = await service.processDue();
+
+        const entry = await EmailOutbox.findByPk(id);
+        assert.deepEqual(summary, { sent: 1, retrying: 0, dead: 0, suppressed: 0 });
+        assert.equal(entry.status, 'sent');
+        assert.equal(entry.attempts, 1);
+        assert.equal(entry.trackingId, 'tracking-id');
+        assert.ok(entry.sentAt);
+    });
+
+    it('retries a failed email later with exponential backoff', async () => {
+        const { id } = await queue();
+        outcomes.push(new Error('SMTP timeout'), new Error('SMTP timeout'));
+
+        assert.deepEqual(await service.processDue(), { sent: 0, retrying: 1, dead: 0, suppressed: 0 });
+        const firstRetryAt = (await EmailOutbox.findByPk(id)).nextAttemptAt;
+        assert.deepEqual(await service.processDue(), { sent: 0, retrying: 0, dead: 0, suppressed: 0 });
+
+        await makeDue();
+        await service.processDue();
+        const entry = await EmailOutbox.findByPk(id);
+
+        assert.equal(entry.status, 'pending');
+        assert.equal(entry.attempts, 2);
+        assert.equal(entry.lastError, 'SMTP timeout');
+        assert.ok(Math.abs(new Date(firstRetryAt) - Date.now() - 30 * 1000) < 5000);
+        assert.ok(Math.abs(new Date(entry.nextAttemptAt) - Date.now() - 60 * 1000) < 5000);
+    });
+
+    it('caps the retry delay', () => {
+        assert.equal(service.getRetryDelayMs(1), 30 * 1000);
+        assert.equal(service.getRetryDelayMs(3), 120 * 1000);
+        assert.equal(service.getRetryDelayMs(20), 60 * 60 * 1000);
+    });
+
+    it('moves an email to the dead-letter queue after the last attempt', async () => {
+        const { id } = await queue();
+        outcomes.push(new Error('SMTP down'), new Error('SMTP down'), new Error('SMTP down'));
+
+        for (let i = 0; i < 3; i++) {
+            await makeDue();
+            await service.processDue();
+        }
+
+        const entry = await EmailOutbox.findByPk(id);
+        assert.equal(entry.status, 'dead');
+        assert.equal(entry.attempts, 3);
+        assert.deepEqual((await service.list({ status: 'dead' })).map(dead => dead.id), [id]);
+
+        await makeDue();
+        await service.processDue();
+        assert.equal(deliveries.length, 3);
+    });
+
+    it('replays a dead-lettered email from a fresh attempt count', async () => {
+        const { id } = await queue();
+        outcomes.push(new Error('SMTP down'), new Error('SMTP down'), new Error('SMTP down'));
+        for (let i = 0; i < 3; i++) {
+            await makeDue();
+            await service.processDue();
+        }
+
+        const replayed = await service.replay(id);
+        const summary = await service.processDue();
+
+        assert.equal(replayed.status, 'pending');
+        assert.equal(replayed.attempts, 0);
+        assert.equal(summary.sent, 1);
+        await assert.rejects(() => service.replay(id), { statusCode: 409 });
+        await assert.rejects(() => service.replay(999999), { statusCode: 404 });
+    });
+
+    it('does not retry emails to suppressed recipients', async () => {
+        const { id } = await queue();
+        outcomes.push(suppressedError());
+
+        const summary = await service.processDue();
+
+        assert.equal(summary.suppressed, 1);
+        assert.equal((await EmailOutbox.findByPk(id)).status, 'suppressed');
+    });
+
+    it('releases emails stuck in sending so they are retried', async () => {
+        const { id } = await queue();
+        await EmailOutbox.update(
+            { status: 'sending', updatedAt: new Date(Date.now() - EmailOutboxService.STALE_SENDING_MS - 1000) },
+            { where: { id }, silent: true }
+        );
+
+        const summary = await service.processDue();
+
+        assert.equal(summary.sent, 1);
+    });
+
+    it('sends each email once when two workers process the queue together', async () => {
+        await queue();
+        await queue();
+
+        const other = new EmailOutboxService({ emailService: service.emailService });
+        const summaries = await Promise.all([service.processDue(), other.processDue()]);
+
+        assert.equal(summaries[0].sent + summaries[1].sent, 2);
+        assert.equal(deliveries.length, 2);
+    });
+});
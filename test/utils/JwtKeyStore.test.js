@@ -0,0 +1,122 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JwtKeyStore = require('../../src/utils/JwtKeyStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('JwtKeyStore', () => {
+    let keysDir;
+
+    const createStore = () => {
+        JwtKeyStore.instance = null;
+        const store = new JwtKeyStore({ algorithm: 'ES256', keysDir, rotationDays: 30, retentionDays: 7 });
+        JwtKeyStore.instance = null;
+        return store;
+    };
+
+    const readKeyFile = (kid) => JSON.parse(fs.readFileSync(path.join(keysDir, `${kid}.json`), 'utf8'));
+
+    const writeKeyFile = (key) => {
+        fs.writeFileSync(path.join(keysDir, `${key.kid}.json`), JSON.stringify(key));
+    };
+
+    const backdate = (store, kid, fields) => {
+        const key = { ...readKeyFile(kid), ...fields };
+        writeKeyFile(key);
+        store.keys.set(kid, key);
+    };
+
+    beforeEach(() => {
+        keysDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwt-keys-'));
+    });
+
+    afterEach(() => {
+        JwtKeyStore.instance = null;
+        fs.rmSync(keysDir, { recursive: true, force: true });
+    });
+
+    it('generates and persists a signing key on first start', () => {
+        const store = createStore();
+        const signingKey = store.getSigningKey();
+
+        assert.equal(signingKey.algorithm, 'ES256');
+        assert.deepEqual(fs.readdirSync(keysDir), [`${signingKey.kid}.json`]);
+        assert.equal(store.getVerificationKey(signingKey.kid).kid, signingKey.kid);
+    });
+
+    it('reuses the persisted key after a restart', () => {
+        const { kid } = createStore().getSigningKey();
+
+        assert.equal(createStore().getSigningKey().kid, kid);
+    });
+
+    it('rotates a key past the rotation period and keeps the old one for verification', () => {
+        const store = createStore();
+        const oldKid = store.getSigningKey().kid;
+        backdate(store, oldKid, { createdAt: new Date(Date.now() - 31 * DAY_MS).toISOString() });
+
+        const newKid = store.getSigningKey().kid;
+
+        assert.notEqual(newKid, oldKid);
+        assert.ok(readKeyFile(oldKid).retiredAt);
+        assert.ok(store.getVerificationKey(oldKid));
+        assert.deepEqual(store.getPublicJwks().keys.map(key => key.kid).sort(), [newKid, oldKid].sort());
+    });
+
+    it('removes retired keys once the retention period has passed', () => {
+        const store = createStore();
+        const oldKid = store.getSigningKey().kid;
+        store.rotate();
+        backdate(store, oldKid, { retiredAt: new Date(Date.now() - 8 * DAY_MS).toISOString() });
+
+        assert.equal(store.getVerificationKey(oldKid), null);
+        store.getPublicJwks();
+        assert.equal(fs.existsSync(path.join(keysDir, `${oldKid}.json`)), false);
+    });
+
+    it('does not retire a key that another instance is signing with', () => {
+        const first = createStore();
+        const second = createStore();
+        const sharedKid = first.getSigningKey().kid;
+        assert.equal(second.getSigningKey().kid, sharedKid);
+
+        second.rotate();
+
+        assert.equal(readKeyFile(sharedKid).retiredAt, null);
+        assert.equal(first.getSigningKey().kid, sharedKid);
+    });
+
+    it('verifies tokens signed with a key another instance rotated in', () => {
+        const first = createStore();
+        const second = createStore();
+
+        const newKid = second.rotate();
+
+        assert.equal(first.keys.has(newKid), false);
+        assert.equal(first.getVerificationKey(newKid).kid, newKid);
+    });
+
+    it('publishes keys written by other instances in the JWKS', () => {
+        const first = createStore();
+        const second = createStore();
+        const newKid = second.rotate();
+
+        const kids = first.getPublicJwks().keys.map(key => key.kid);
+
+        assert.ok(kids.includes(newKid));
+        assert.ok(kids.includes(first.getSigningKey().kid));
+    });
+
+    it('ignores key ids that are not UUIDs', () => {
+        const store = createStore();
+
+        assert.equal(store.getVerificationKey('../keys/outside'), null);
+        assert.equal(store.getVerificationKey('missing'), null);
+        assert.equal(store.getVerificationKey(undefined), null);
+    });
+});
@@ -0,0 +1,107 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const OtpDeliveryService = require('../../src/utils/OtpDeliveryService');
+
+describe('OtpDeliveryService', () => {
+    const phoneNumber = '+639171234567';
+    const email = 'juan@example.com';
+    let failing;
+    let delivered;
+    let saved;
+    let service;
+
+    const channelStub = (channel, result) => async (recipient, code) => {
+        if (failing.has(channel)) {
+            throw new Error(`${channel} unavailable`);
+        }
+        delivered.push({ channel, recipient, code });
+        return result;
+    };
+
+    beforeEach(() => {
+        failing = new Set();
+        delivered = [];
+        saved = [];
+        service = new OtpDeliveryService({
+            smsService: { deliverOTP: channelStub('sms', { provider: 'sms-stub', trackingId: 'sms-tracking' }) },
+            emailService: { deliverEmailOTP: channelStub('email', { provider: 'email-stub', trackingId: 'email-tracking' }) },
+            voiceProvider: { providerName: 'voice-stub', callWithOTP: channelStub('voice', { provider: 'voice-stub', callId: 'call-1' }) },
+            otpStore: { save: async (channel, recipient, code, options) => saved.push({ channel, recipient, code, ...options }) },
+            messageTracker: { recordSent: async () => 'voice-tracking' }
+        });
+    });
+
+    it('sends by SMS and stores the code for the phone number', async () => {
+        const result = await service.sendPhoneOTP(phoneNumber, { purpose: 'pin_reset', email });
+
+        assert.equal(result.channel, 'sms');
+        assert.equal(result.fallbackUsed, false);
+        assert.deepEqual(saved, [{ channel: 'sms', recipient: phoneNumber, code: delivered[0].code, purpose: 'pin_reset' }]);
+    });
+
+    it('falls back to the verified email and then voice when SMS fails', async () => {
+        failing.add('sms');
+        const byEmail = await service.sendPhoneOTP(phoneNumber, { purpose: 'pin_reset', email });
+
+        failing.add('email');
+        const byVoice = await service.sendPhoneOTP(phoneNumber, { purpose: 'pin_reset', email });
+
+        assert.equal(byEmail.channel, 'email');
+        assert.equal(byEmail.to, 'ju**@example.com');
+        assert.equal(byVoice.channel, 'voice');
+        assert.equal(byVoice.trackingId, 'voice-tracking');
+        assert.deepEqual(byVoice.attempts.map(attempt => `${attempt.channel}:${attempt.status}`), [
+            'sms:failed',
+            'email:failed',
+            'voice:sent'
+        ]);
+    });
+
+    it('skips email when there is no verified address', async () => {
+        failing.add('sms');
+
+        const result = await service.sendPhoneOTP(phoneNumber, { purpose: 'signup' });
+
+        assert.equal(result.channel, 'voice');
+        assert.equal(result.attempts[1].status, 'skipped');
+    });
+
+    it('never sends login step-up or email change codes by email', async () => {
+        failing.add('sms');
+        failing.add('voice');
+
+        for (const purpose of ['login_stepup', 'email_change']) {
+            await assert.rejects(
+                () => service.sendPhoneOTP(phoneNumber, { purpose, email }),
+                (error) => error.statusCode === 503 && error.details.attempts.every(attempt => attempt.channel !== 'email')
+            );
+            await assert.rejects(
+                () => service.sendPhoneOTP(phoneNumber, { purpose, email, preferredChannel: 'email' }),
+                (error) => error.statusCode === 400
+            );
+        }
+
+        assert.equal(delivered.length, 0);
+        assert.equal(saved.length, 0);
+    });
+
+    it('starts with the preferred channel', async () => {
+        const result = await service.sendPhoneOTP(phoneNumber, { purpose: 'signup', preferredChannel: 'voice' });
+
+        assert.equal(result.channel, 'voice');
+        assert.equal(result.preferredChannel, 'voice');
+    });
+
+    it('reports every attempt when no channel delivers', async () => {
+        failing.add('sms');
+        service.voiceProvider = null;
+
+        await assert.rejects(
+            () => service.sendPhoneOTP(phoneNumber, { purpose: 'pin_reset' }),
+            (error) => error.statusCode === 503 && error.details.attempts.length === 3
+        );
+        assert.equal(saved.length, 0);
+    });
+});
@@ -0,0 +1,130 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const OtpSendLog = require('../../src/models/OtpSendLog');
+const OtpQuotaService = require('../../src/utils/OtpQuotaService');
+
+describe('OtpQuotaService', () => {
+    const phoneNumber = '+639171234567';
+    const noLimits = { hourly: 0, daily: 0 };
+    const noDenyList = { phones: [], prefixes: [], ips: [] };
+    let databaseDir;
+    let sequelize;
+
+    const createService = ({ phone = noLimits, ip = noLimits, prefix = noLimits, denyList = noDenyList } = {}) =>
+        new OtpQuotaService({ limits: { phone, ip, prefix }, denyList });
+
+    const send = (service, context = {}, deliver = async () => ({ channel: 'sms' })) =>
+        service.sendWithinQuota({ phoneNumber, ipAddress: '203.0.113.10', purpose: 'signup', ...context }, deliver);
+
+    before(async () => {
+        databaseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'otp-quota-'));
+        sequelize = new Sequelize({
+            dialect: 'sqlite',
+            storage: path.join(databaseDir, 'quota.sqlite'),
+            logging: false,
+            retry: { match: [/SQLITE_BUSY/], max: 10 }
+        });
+        OtpSendLog.init(sequelize);
+        await sequelize.sync();
+    });
+
+    after(async () => {
+        await sequelize.close();
+        fs.rmSync(databaseDir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        await OtpSendLog.destroy({ where: {} });
+    });
+
+    it('allows sends up to the per-phone limit and then returns 429 with retryAfter', async () => {
+        const service = createService({ phone: { hourly: 2, daily: 0 } });
+        await send(service);
+        await send(service);
+
+        await assert.rejects(() => send(service), (error) => {
+            assert.equal(error.statusCode, 429);
+            assert.equal(error.details.reason, 'quota_exceeded');
+            assert.ok(error.details.retryAfter > 3500 && error.details.retryAfter <= 3600);
+            return true;
+        });
+
+        assert.equal(await OtpSendLog.count({ where: { status: 'sent' } }), 2);
+        const blocked = await OtpSendLog.findOne({ where: { status: 'blocked' } });
+        assert.equal(blocked.blockReason, 'quota_phone_hourly');
+    });
+
+    it('limits sends per client IP across phone numbers', async () => {
+        const service = createService({ ip: { hourly: 1, daily: 0 } });
+        await send(service, { phoneNumber: '+639171111111' });
+
+        await assert.rejects(() => send(service, { phoneNumber: '+639172222222' }), { statusCode: 429 });
+        await send(service, { phoneNumber: '+639172222222', ipAddress: '::ffff:203.0.113.11' });
+    });
+
+    it('limits sends per number prefix', async () => {
+        const service = createService({ prefix: { hourly: 2, daily: 0 } });
+        await send(service, { phoneNumber: '+639171234501', ipAddress: null });
+        await send(service, { phoneNumber: '+639171234502', ipAddress: null });
+
+        await assert.rejects(() => send(service, { phoneNumber: '+639171234503', ipAddress: null }), { statusCode: 429 });
+        await send(service, { phoneNumber: '+639181234503', ipAddress: null });
+    });
+
+    it('ignores sends older than the window', async () => {
+        const service = createService({ phone: { hourly: 1, daily: 0 } });
+        await send(service);
+        await OtpSendLog.update({ createdAt: new Date(Date.now() - 61 * 60 * 1000) }, { where: {}, silent: true });
+
+        await send(service);
+    });
+
+    it('refuses deny-listed phone numbers, prefixes and IPs with 403', async () => {
+        const service = createService({
+            denyList: { phones: ['639170000001'], prefixes: ['63918'], ips: ['198.51.100.7'] }
+        });
+
+        await assert.rejects(() => send(service, { phoneNumber: '09170000001' }), { statusCode: 403 });
+        await assert.rejects(() => send(service, { phoneNumber: '+639181234567' }), { statusCode: 403 });
+        await assert.rejects(() => send(service, { ipAddress: '198.51.100.7' }), { statusCode: 403 });
+
+        const reasons = (await OtpSendLog.findAll({ where: { status: 'blocked' } })).map(log => log.blockReason);
+        assert.deepEqual(reasons.sort(), ['deny_list_ip', 'deny_list_phone', 'deny_list_prefix']);
+    });
+
+    it('does not count a send that failed to deliver', async () => {
+        const service = createService({ phone: { hourly: 1, daily: 0 } });
+
+        await assert.rejects(() => send(service, {}, async () => {
+            throw new Error('Unable to deliver verification code through any channel');
+        }), /Unable to deliver/);
+
+        assert.equal(await OtpSendLog.count(), 0);
+        await send(service);
+    });
+
+    it('records the channel that delivered the code', async () => {
+        const service = createService();
+
+        await send(service, {}, async () => ({ channel: 'voice' }));
+
+        assert.equal((await OtpSendLog.findOne()).channel, 'voice');
+    });
+
+    it('never lets parallel requests exceed a limit', async () => {
+        const service = createService({ phone: { hourly: 3, daily: 0 } });
+
+        const results = await Promise.allSettled(Array.from({ length: 8 }, () => send(service)));
+
+        const rejected = results.filter(result => result.status === 'rejected');
+        assert.equal(results.length - rejected.length, 3);
+        assert.ok(rejected.every(result => result.reason.statusCode === 429));
+        assert.equal(await OtpSendLog.count({ where: { status: 'sent' } }), 3);
+    });
+});
@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const PinHasher = require('../../src/utils/PinHasher');
+
+describe('PinHasher', () => {
+    it('produces a salted scrypt hash that verifies the original PIN', async () => {
+        const hash = await PinHasher.hash('123456');
+
+        assert.match(hash, /^scrypt\$16384\$8\$1\$[^$]+\$[^$]+$/);
+        assert.equal(PinHasher.isHash(hash), true);
+        assert.equal(await PinHasher.verify('123456', hash), true);
+    });
+
+    it('rejects a wrong PIN', async () => {
+        const hash = await PinHasher.hash('123456');
+
+        assert.equal(await PinHasher.verify('654321', hash), false);
+        assert.equal(await PinHasher.verify('', hash), false);
+        assert.equal(await PinHasher.verify(123456, hash), false);
+    });
+
+    it('uses a fresh salt for every hash', async () => {
+        const first = await PinHasher.hash('123456');
+        const second = await PinHasher.hash('123456');
+
+        assert.notEqual(first, second);
+    });
+
+    it('verifies hashes created with other scrypt parameters', async () => {
+        const original = PinHasher.COST;
+        PinHasher.COST = 1024;
+        let hash;
+        try {
+            hash = await PinHasher.hash('123456');
+        } finally {
+            PinHasher.COST = original;
+        }
+
+        assert.match(hash, /^scrypt\$1024\$/);
+        assert.equal(await PinHasher.verify('123456', hash), true);
+    });
+
+    it('does not treat plaintext or malformed values as hashes', async () => {
+        assert.equal(PinHasher.isHash('123456'), false);
+        assert.equal(PinHasher.isHash('scrypt$0$8$1$c2FsdA==$aGFzaA=='), false);
+        assert.equal(PinHasher.isHash('bcrypt$16384$8$1$c2FsdA==$aGFzaA=='), false);
+        assert.equal(PinHasher.isHash(null), false);
+        assert.equal(await PinHasher.verify('123456', '123456'), false);
+    });
+
+    it('refuses to hash an empty PIN', async () => {
+        await assert.rejects(() => PinHasher.hash(''), /PIN is required/);
+    });
+});
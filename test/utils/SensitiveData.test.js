@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SensitiveData = require('../../src/utils/SensitiveData');
+
+describe('SensitiveData', () => {
+    it('redacts secret request fields and keeps the rest', () => {
+        const redacted = SensitiveData.redactFields({
+            phoneNumber: '+639171234567',
+            pin: '482915',
+            newPin: '730164',
+            code: '123456',
+            verificationTicket: 'ticket',
+            challengeToken: 'challenge',
+            refreshToken: 'refresh',
+            birthDate: '1987-03-21',
+            channel: 'sms'
+        });
+
+        assert.deepEqual(redacted, {
+            phoneNumber: '+639171234567',
+            pin: '[REDACTED]',
+            newPin: '[REDACTED]',
+            code: '[REDACTED]',
+            verificationTicket: '[REDACTED]',
+            challengeToken: '[REDACTED]',
+            refreshToken: '[REDACTED]',
+            birthDate: '[REDACTED]',
+            channel: 'sms'
+        });
+    });
+
+    it('leaves non-object bodies alone', () => {
+        assert.equal(SensitiveData.redactFields(undefined), undefined);
+        assert.equal(SensitiveData.redactFields('text'), 'text');
+    });
+
+    it('redacts credential headers', () => {
+        const redacted = SensitiveData.redactHeaders({
+            authorization: 'Bearer abc',
+            'x-admin-key': 'admin',
+            'x-webhook-secret': 'webhook',
+            'user-agent': 'test-agent'
+        });
+
+        assert.deepEqual(redacted, {
+            authorization: '[REDACTED]',
+            'x-admin-key': '[REDACTED]',
+            'x-webhook-secret': '[REDACTED]',
+            'user-agent': 'test-agent'
+        });
+    });
+});
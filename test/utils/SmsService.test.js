@@ -0,0 +1,124 @@
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'ERROR';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SmsProvider = require('../../src/utils/SmsProvider');
+const SmsService = require('../../src/utils/SmsService');
+
+class StubSmsProvider extends SmsProvider {
+    constructor(providerName) {
+        super(providerName);
+        this.failing = false;
+        this.sent = [];
+    }
+
+    async sendCustomOTP(phoneNumber, code) {
+        return this._withCircuitBreaker(async () => {
+            if (this.failing) {
+                throw new Error(`${this.providerName} gateway unavailable`);
+            }
+
+            this.sent.push({ phoneNumber, code });
+            return { provider: this.providerName, messageId: `${this.providerName}-${this.sent.length}`, status: 'pending' };
+        });
+    }
+}
+
+describe('SmsService failover', () => {
+    const phoneNumber = '+639171234567';
+    let primary;
+    let fallback;
+    let savedCodes;
+
+    const createService = (fallbackProvider) => new SmsService({
+        primaryProvider: primary,
+        fallbackProvider,
+        otpStore: { save: async (channel, recipient, code) => savedCodes.push(code) },
+        messageTracker: { recordSent: async () => 'tracking-id' }
+    });
+
+    const failPrimaryUntilOpen = async (service) => {
+        const errors = [];
+        for (let i = 0; i < primary.circuitBreakerThreshold - 1; i++) {
+            await service.deliverOTP(phoneNumber, '123456').catch(error => errors.push(error));
+        }
+        return errors;
+    };
+
+    beforeEach(() => {
+        primary = new StubSmsProvider('primary');
+        fallback = new StubSmsProvider('fallback');
+        savedCodes = [];
+    });
+
+    it('sends through the primary provider while it is healthy', async () => {
+        const service = createService(fallback);
+
+        const result = await service.deliverOTP(phoneNumber, '123456');
+
+        assert.equal(result.provider, 'primary');
+        assert.equal(result.trackingId, 'tracking-id');
+        assert.equal(fallback.sent.length, 0);
+    });
+
+    it('does not fail over on isolated primary errors', async () => {
+        primary.failing = true;
+        const service = createService(fallback);
+
+        const errors = await failPrimaryUntilOpen(service);
+
+        assert.equal(errors.length, primary.circuitBreakerThreshold - 1);
+        assert.equal(primary.getCircuitBreakerState(), 'closed');
+        assert.equal(fallback.sent.length, 0);
+    });
+
+    it('fails over once the primary circuit breaker opens', async () => {
+        primary.failing = true;
+        const service = createService(fallback);
+        await failPrimaryUntilOpen(service);
+
+        const opening = await service.deliverOTP(phoneNumber, '123456');
+        const whileOpen = await service.deliverOTP(phoneNumber, '654321');
+
+        assert.equal(primary.isCircuitOpen(), true);
+        assert.equal(opening.provider, 'fallback');
+        assert.equal(whileOpen.provider, 'fallback');
+        assert.deepEqual(fallback.sent.map(message => message.code), ['123456', '654321']);
+    });
+
+    it('returns to the primary provider once its circuit breaker recovers', async () => {
+        primary.failing = true;
+        primary.circuitBreakerResetMs = 20;
+        const service = createService(fallback);
+        await failPrimaryUntilOpen(service);
+        await service.deliverOTP(phoneNumber, '123456');
+
+        primary.failing = false;
+        await new Promise(resolve => setTimeout(resolve, 30));
+        const result = await service.deliverOTP(phoneNumber, '654321');
+
+        assert.equal(result.provider, 'primary');
+        assert.equal(primary.getCircuitBreakerState(), 'closed');
+    });
+
+    it('surfaces the primary error when no fallback is configured', async () => {
+        primary.failing = true;
+        const service = createService(null);
+        await failPrimaryUntilOpen(service);
+
+        await assert.rejects(() => service.deliverOTP(phoneNumber, '123456'), /primary gateway unavailable/);
+        await assert.rejects(() => service.deliverOTP(phoneNumber, '123456'), /circuit breaker is open/);
+    });
+
+    it('stores an OTP only after it was delivered', async () => {
+        primary.failing = true;
+        const service = createService(null);
+
+        await assert.rejects(() => service.sendOTP(phoneNumber, { purpose: 'signup' }));
+        assert.equal(savedCodes.length, 0);
+
+        primary.failing = false;
+        await service.sendOTP(phoneNumber, { purpose: 'signup' });
+        assert.deepEqual(savedCodes, [primary.sent[0].code]);
+    });
+});